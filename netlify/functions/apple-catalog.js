@@ -0,0 +1,82 @@
+const { openStore } = require('../lib/storage');
+const { STORE_NAME, mergeCatalog, sanitizeCatalog, createCatalogLookup } = require('../lib/apple-catalog');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+const EMPTY_OVERRIDES = { models: [], partNumbers: {} };
+
+// Saved additions plus the size of the catalog they make with the bundled one
+function catalogBody(overrides) {
+  const catalog = mergeCatalog(overrides);
+  return {
+    config: overrides || EMPTY_OVERRIDES,
+    counts: { models: catalog.models.length, partNumbers: Object.keys(catalog.partNumbers).length }
+  };
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+
+    // GET ?lookup=MK183LL/A resolves one identifier, handy for checking a new catalog entry
+    if (event.httpMethod === 'GET') {
+      const overrides = await store.get('config', { type: 'json' });
+      const lookup = event.queryStringParameters?.lookup;
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          ...catalogBody(overrides),
+          ...(lookup ? { match: createCatalogLookup(mergeCatalog(overrides))(lookup) } : {})
+        })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { config } = JSON.parse(event.body || '{}');
+      const overrides = sanitizeCatalog(config);
+
+      await store.setJSON('config', overrides);
+      console.log(`Saved Apple catalog: ${overrides.models.length} models, ${Object.keys(overrides.partNumbers).length} part numbers`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(catalogBody(overrides))
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await store.delete('config');
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(catalogBody(null))
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Apple catalog error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
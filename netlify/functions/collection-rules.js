@@ -0,0 +1,74 @@
+const { openStore, configKey, loadConfig } = require('../lib/storage');
+const {
+  STORE_NAME, CONDITION_FIELDS, DEFAULT_COLLECTION_RULES, mergeCollectionRules, sanitizeCollectionRules
+} = require('../lib/collection-rules');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+    // With a Shopify store id, that store's own smart collections; without one, the shared set
+    const storeId = event.queryStringParameters?.storeId || null;
+
+    if (event.httpMethod === 'GET') {
+      const { overrides, own } = await loadConfig(store, storeId);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          config: mergeCollectionRules(overrides), storeId, own, defaults: DEFAULT_COLLECTION_RULES, fields: Object.keys(CONDITION_FIELDS)
+        })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { config } = JSON.parse(event.body || '{}');
+      const overrides = sanitizeCollectionRules(config);
+
+      await store.setJSON(configKey(storeId), overrides);
+      console.log(`Saved collection rules${storeId ? ` for ${storeId}` : ''}: ${overrides.smartCollections.length} smart collections`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeCollectionRules(overrides), storeId, own: Boolean(storeId) })
+      };
+    }
+
+    // A store's own smart collections go back to the shared set, the shared set to the defaults
+    if (event.httpMethod === 'DELETE') {
+      await store.delete(configKey(storeId));
+      const { overrides, own } = await loadConfig(store, storeId);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeCollectionRules(overrides), storeId, own })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Collection rules error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
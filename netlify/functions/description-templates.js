@@ -0,0 +1,99 @@
+const { openStore, configKey, loadConfig } = require('../lib/storage');
+const {
+  STORE_NAME, LOCALES, PLACEHOLDERS, DEFAULT_TEMPLATES, mergeTemplates, sanitizeTemplates, renderDescription
+} = require('../lib/description-templates');
+const { countUnits } = require('../lib/shopify-sync');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+    // With a Shopify store id, that store's own templates; without one, the shared templates
+    const storeId = event.queryStringParameters?.storeId || null;
+
+    if (event.httpMethod === 'GET') {
+      const { overrides, own } = await loadConfig(store, storeId);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          config: mergeTemplates(overrides), storeId, own, defaults: DEFAULT_TEMPLATES, locales: LOCALES, placeholders: PLACEHOLDERS
+        })
+      };
+    }
+
+    // Preview - render one group with the submitted (unsaved) templates, or the saved ones
+    if (event.httpMethod === 'POST') {
+      const { productGroup, config } = JSON.parse(event.body || '{}');
+      if (!productGroup) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'A productGroup to preview is required' })
+        };
+      }
+
+      const templates = mergeTemplates(config ? sanitizeTemplates(config) : (await loadConfig(store, storeId)).overrides);
+      const preview = {};
+      LOCALES.forEach(locale => {
+        preview[locale] = renderDescription(productGroup, countUnits(productGroup), templates, locale);
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ preview })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { config } = JSON.parse(event.body || '{}');
+      const overrides = sanitizeTemplates(config);
+
+      await store.setJSON(configKey(storeId), overrides);
+      console.log(`Saved description templates${storeId ? ` for ${storeId}` : ''}: ${Object.keys(overrides.types).join(', ') || 'grades only'}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeTemplates(overrides), storeId, own: Boolean(storeId) })
+      };
+    }
+
+    // A store's own templates go back to the shared ones, the shared ones to the defaults
+    if (event.httpMethod === 'DELETE') {
+      await store.delete(configKey(storeId));
+      const { overrides, own } = await loadConfig(store, storeId);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeTemplates(overrides), storeId, own })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Description templates error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,113 @@
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+const { buildProductCsv, buildSummaryWorkbook } = require('../lib/product-export');
+const { loadDescriptionTemplates } = require('../lib/description-templates');
+const { loadStorePricing } = require('../lib/store-registry');
+const { applyStorePricing } = require('../lib/pricing');
+const { buildAnnotatedWorkbook } = require('../lib/row-validation');
+
+// Group exports build from the reviewed productGroups; the validation export annotates the uploaded file
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    suffix: 'shopify-products.csv',
+    build: async ({ productGroups, storeId }, event) =>
+      Buffer.from(buildProductCsv(productGroups, await loadDescriptionTemplates(event, storeId || null)), 'utf8')
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    suffix: 'summary.xlsx',
+    build: ({ productGroups }) => buildSummaryWorkbook(productGroups)
+  },
+  validation: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    suffix: 'validation.xlsx',
+    fromUpload: true,
+    build: ({ file, fileName, uploadFormat, sheets, validation, excluded }) =>
+      buildAnnotatedWorkbook(Buffer.from(file, 'base64'), { fileName, format: uploadFormat, sheets }, validation, excluded)
+  }
+};
+
+// EXPORT FILE NAME - Named after the uploaded file so exports are easy to pair with their source
+function exportFileName(fileName, exporter) {
+  const base = String(fileName || 'inventory').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'inventory';
+  return `${base}-${exporter.suffix}`;
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'Content-Disposition'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    requireAuth(event);
+
+    // Same productGroups the sync takes, so a file import and a sync build identical listings
+    const request = JSON.parse(event.body || '{}');
+    const { productGroups, format = 'csv', fileName } = request;
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+      };
+    }
+    if (exporter.fromUpload && (!request.file || !Array.isArray(request.validation?.issues))) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'The uploaded file and its validation report are required' })
+      };
+    }
+    if (!exporter.fromUpload && (!productGroups || Object.keys(productGroups).length === 0)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'No product groups to export' })
+      };
+    }
+
+    // For a chosen store the groups carry its prices, as a sync to that store would write them
+    if (!exporter.fromUpload && request.storeId) {
+      request.productGroups = applyStorePricing(productGroups, await loadStorePricing(event, String(request.storeId)));
+    }
+
+    const file = await exporter.build(request, event);
+    const name = exportFileName(fileName, exporter);
+    console.log(exporter.fromUpload ? `Exported the validation report as ${name}` : `Exported ${Object.keys(productGroups).length} groups as ${name}`);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': exporter.contentType,
+        'Content-Disposition': `attachment; filename="${name}"`
+      },
+      body: file.toString('base64'),
+      isBase64Encoded: true
+    };
+
+  } catch (error) {
+    console.error('Export error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
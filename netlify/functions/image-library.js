@@ -0,0 +1,88 @@
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+const { describeImage, saveImage, listImages, getImage, deleteImage } = require('../lib/image-library');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const id = event.queryStringParameters?.id;
+
+    // The library, or one image with its data for a preview
+    if (event.httpMethod === 'GET') {
+      if (!id) {
+        const images = await listImages(event);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ images: images.map(image => ({ ...image, label: describeImage(image) })) })
+        };
+      }
+
+      const found = await getImage(event, id);
+      if (!found) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: `Image ${id} not found` })
+        };
+      }
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(found)
+      };
+    }
+
+    // Upload - { productType, displaySize, chip, year, color, fileName, contentType, data (base64) }
+    if (event.httpMethod === 'POST') {
+      const image = await saveImage(event, JSON.parse(event.body || '{}'));
+      console.log(`Added library image ${image.id}: ${describeImage(image)}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ image: { ...image, label: describeImage(image) } })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'An image id is required' })
+        };
+      }
+
+      await deleteImage(event, id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ deleted: id })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Image library error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,40 @@
+const { AUTH_ALLOW_HEADERS, login } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { password, name } = JSON.parse(event.body || '{}');
+    const session = login(password, name);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(session)
+    };
+
+  } catch (error) {
+    console.error('Login error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,59 @@
+const { openStore } = require('../lib/storage');
+const { STORE_NAME, normalizeSerial, lookupUnit } = require('../lib/unit-registry');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const serial = event.queryStringParameters?.serial;
+  if (!serial || !normalizeSerial(serial)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Serial number is required' })
+    };
+  }
+
+  try {
+    requireAuth(event);
+    const unit = await lookupUnit(openStore(STORE_NAME, event), serial);
+
+    if (!unit) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Serial ${normalizeSerial(serial)} has not been uploaded` })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ unit })
+    };
+
+  } catch (error) {
+    console.error('Serial lookup error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
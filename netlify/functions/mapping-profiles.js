@@ -0,0 +1,75 @@
+const { openStore, listJSON } = require('../lib/storage');
+const { FIELDS, DEFAULT_PROFILE, sanitizeProfile } = require('../lib/column-mapping');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore('mapping-profiles', event);
+
+    if (event.httpMethod === 'GET') {
+      const profiles = await listJSON(store);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ fields: FIELDS, profiles: [DEFAULT_PROFILE, ...profiles] })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { profile } = JSON.parse(event.body || '{}');
+      const cleanProfile = sanitizeProfile(profile);
+
+      await store.setJSON(cleanProfile.id, cleanProfile);
+      console.log(`Saved mapping profile: ${cleanProfile.name}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ profile: cleanProfile })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = event.queryStringParameters?.id;
+      if (!id || id === DEFAULT_PROFILE.id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'A saved profile id is required' })
+        };
+      }
+
+      await store.delete(id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ deleted: id })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Mapping profile error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,86 @@
+const { openStore } = require('../lib/storage');
+const { DEFAULT_PRICING, mergePricingConfig, sanitizePricingConfig, repriceGroup, loadPricingConfig } = require('../lib/pricing');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore('pricing', event);
+
+    if (event.httpMethod === 'GET') {
+      const overrides = await store.get('config', { type: 'json' });
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergePricingConfig(overrides), defaults: DEFAULT_PRICING })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { config } = JSON.parse(event.body || '{}');
+      const overrides = sanitizePricingConfig(config);
+
+      await store.setJSON('config', overrides);
+      console.log(`Saved pricing config: ${Object.keys(overrides).join(', ')}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergePricingConfig(overrides) })
+      };
+    }
+
+    // REPRICE - Groups edited in review go back through the saved pricing, as process-excel priced them
+    if (event.httpMethod === 'POST') {
+      const { productGroups } = JSON.parse(event.body || '{}');
+      if (!productGroups || typeof productGroups !== 'object') {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'productGroups is required' })
+        };
+      }
+
+      const config = await loadPricingConfig(event);
+      Object.values(productGroups).forEach(productGroup => repriceGroup(productGroup, config));
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ productGroups })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await store.delete('config');
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: DEFAULT_PRICING })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Pricing config error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
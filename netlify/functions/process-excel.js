@@ -1,4 +1,15 @@
-const XLSX = require('xlsx');
+const { readRows } = require('../lib/spreadsheet');
+const { DEFAULT_PROFILE, resolveMapping, detectProfile, readFields } = require('../lib/column-mapping');
+const { openStore, listJSON } = require('../lib/storage');
+const { parseSpecs, mergeSpecs } = require('../lib/spec-parser');
+const { DEFAULT_COLOR, DEFAULT_GRADE, normalizeColor, normalizeGrade, normalizeKeyboard, parseQuantity, variantKey } = require('../lib/variant-attributes');
+const { parseMoney, priceGroup, loadPricingConfig } = require('../lib/pricing');
+const { resolveDimensions, buildGroupKey, buildGroupTitle, buildGroupingReport } = require('../lib/grouping');
+const { STORE_NAME: UNIT_STORE, normalizeSerial, createUploadId, findDuplicateSerials, findPreviouslySeen } = require('../lib/unit-registry');
+const { validateRow, duplicateSerialIssues, buildValidationReport } = require('../lib/row-validation');
+const { loadCatalog, createCatalogLookup, applyCatalogMatch } = require('../lib/apple-catalog');
+const { loadTaxonomy, classifyRow, detectType, typeProfile } = require('../lib/taxonomy');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
 
 exports.handler = async (event, context) => {
   // Set timeout to prevent function hanging
@@ -6,7 +17,7 @@ exports.handler = async (event, context) => {
   
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
     'Access-Control-Allow-Methods': 'POST, OPTIONS'
   };
 
@@ -23,42 +34,36 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    requireAuth(event);
     console.log('Starting Excel processing...');
     
-    if (!event.body) {
-      throw new Error('No file data received');
-    }
+    const upload = parseUpload(event);
+    console.log(`Buffer size: ${upload.buffer.length}`);
 
-    // Decode and parse Excel
-    const buffer = Buffer.from(event.body, 'base64');
-    console.log(`Buffer size: ${buffer.length}`);
-    
-    const workbook = XLSX.read(buffer, { type: 'buffer' });
-    console.log(`Sheets: ${workbook.SheetNames.length}`);
-    
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    
-    // Simple parsing - try both methods quickly
-    let data = [];
-    
-    try {
-      data = XLSX.utils.sheet_to_json(worksheet);
-      console.log(`Method 1: ${data.length} rows`);
-    } catch (e) {
-      console.log('Method 1 failed, trying method 2');
-      const arrayData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      if (arrayData.length > 1) {
-        const headers = arrayData[0];
-        data = arrayData.slice(1).map(row => {
-          const obj = {};
-          headers.forEach((header, i) => {
-            obj[header] = row[i] || '';
-          });
-          return obj;
-        });
-        console.log(`Method 2: ${data.length} rows`);
-      }
-    }
+    const groupingDimensions = resolveDimensions(upload.grouping);
+
+    const { format, sheets, records } = readRows(upload.buffer, upload);
+    console.log(`Format: ${format}, sheets: ${sheets.length}`);
+
+    const data = records.map(record => record.data);
+
+    // Work out which column feeds which field, per sheet since tabs can differ
+    const sheetHeaders = collectHeaders(records);
+    const allHeaders = [...new Set(Object.values(sheetHeaders).flat())];
+    const { profile, suggestions, detected } = await chooseProfile(event, upload, allHeaders);
+    console.log(`Mapping profile: ${profile.name}${detected ? ' (auto-detected)' : ''}`);
+
+    const columnMapping = {};
+    Object.entries(sheetHeaders).forEach(([sheet, sheetColumns]) => {
+      columnMapping[sheet] = resolveMapping(sheetColumns, profile);
+    });
+
+    const mappingSummary = {
+      profile: { id: profile.id, name: profile.name },
+      detected,
+      suggestions,
+      columns: columnMapping
+    };
 
     if (data.length === 0) {
       return {
@@ -66,28 +71,33 @@ exports.handler = async (event, context) => {
         headers,
         body: JSON.stringify({
           error: 'No data found',
-          debug: { sheets: workbook.SheetNames.length }
+          debug: { sheets: sheets.length, sheetNames: sheets.map(sheet => sheet.name), headers: allHeaders }
         })
       };
     }
 
     console.log(`Processing ${data.length} total rows`);
 
-    // Simple Apple product filter
-    const appleProducts = data.filter(item => {
+    // Part numbers, model identifiers and A-numbers resolve through the Apple catalog
+    const lookupCatalog = createCatalogLookup(await loadCatalog(event));
+    const taxonomy = await loadTaxonomy(event);
+
+    // Apple product filter - the taxonomy's types and exclusions decide, rows with only a part
+    // number count through the catalog, and every row left out is reported with the reason
+    const excludedRows = [];
+    const appleProducts = records.filter(({ sheet, row, data: item }) => {
       if (!item || typeof item !== 'object') return false;
-      
-      const values = Object.values(item).join(' ').toLowerCase();
-      return values.includes('apple') || 
-             values.includes('macbook') || 
-             values.includes('ipad') || 
-             values.includes('iphone') ||
-             values.includes('imac') ||
-             values.includes('laptop') ||
-             values.includes('tablet');
+
+      const values = Object.values(item).join(' ');
+      const verdict = classifyRow(taxonomy, values, Boolean(lookupCatalog(catalogText(item, columnMapping[sheet]))));
+      if (!verdict.included) {
+        excludedRows.push({ sheet, row, reason: verdict.reason, detail: verdict.detail, text: values.substring(0, 120) });
+      }
+      return verdict.included;
     });
+    const exclusionReport = buildExclusionReport(excludedRows);
 
-    console.log(`Found ${appleProducts.length} Apple products`);
+    console.log(`Found ${appleProducts.length} Apple products, excluded ${excludedRows.length} rows`);
 
     if (appleProducts.length === 0) {
       // Get sample for debugging
@@ -106,6 +116,10 @@ exports.handler = async (event, context) => {
           error: 'No Apple products found',
           debug: {
             totalRows: data.length,
+            sheetNames: sheets.map(sheet => sheet.name),
+            headers: allHeaders,
+            mapping: mappingSummary,
+            excluded: exclusionReport,
             sampleData: sample
           }
         })
@@ -115,68 +129,150 @@ exports.handler = async (event, context) => {
     // Create simple product groups
     const groups = {};
     const categories = {};
+    const issues = [];
+    const serialRows = [];
+    let catalogRows = 0;
 
-    appleProducts.forEach((item, index) => {
+    appleProducts.forEach(({ sheet, row, data: item }, index) => {
       try {
-        // Get product info with fallbacks
-        const getField = (names) => {
-          for (const name of names) {
-            if (item[name]) return String(item[name]).trim();
-          }
-          return '';
+        // Get product info through the sheet's column mapping
+        const fields = readFields(item, columnMapping[sheet]);
+        const catalogMatch = lookupCatalog(catalogText(item, columnMapping[sheet]));
+        validateRow(fields, columnMapping[sheet], catalogMatch).forEach(entry => issues.push({ sheet, row, ...entry }));
+        serialRows.push({ sheet, row, serial: fields.serial });
+
+        // The catalog only fills configuration the sheet left out
+        const model = fields.model || catalogMatch?.name || `Product ${index + 1}`;
+        const category = fields.category || 'Apple Product';
+        const storage = withCapacityUnit(fields.storage) || catalogMatch?.storage || 'Unknown';
+        const memory = withCapacityUnit(fields.memory) || catalogMatch?.memory || 'Unknown';
+
+        // Structured specs - the processor column wins over chips mentioned in the model text
+        const specs = mergeSpecs(parseSpecs(fields.processor), parseSpecs(model, fields.description));
+        let processor = specs.chip || fields.processor || 'Unknown';
+
+        // Variant attributes - fall back to a color named in the model text when there is no color column
+        const colorFromModel = normalizeColor(model);
+        const color = fields.color
+          ? normalizeColor(fields.color).color
+          : (colorFromModel.known ? colorFromModel.color : catalogMatch?.color || DEFAULT_COLOR);
+        const grade = normalizeGrade(fields.grade) || DEFAULT_GRADE;
+        const quantity = parseQuantity(fields.quantity) ?? 0;
+        const cost = parseMoney(fields.cost);
+
+        // Product type from the taxonomy's match patterns
+        let productType = detectType(taxonomy, [model, fields.description].filter(Boolean).join(' '));
+
+        // Create group key from the configured grouping dimensions
+        const attributes = {
+          type: productType,
+          size: specs.displaySize,
+          year: specs.year,
+          chip: processor,
+          memory,
+          storage,
+          keyboard: normalizeKeyboard(fields.keyboard)
         };
 
-        const model = getField(['Model', 'Product', 'Name']) || `Product ${index + 1}`;
-        const category = getField(['Sub-Category', 'Category', 'Type']) || 'Apple Product';
-        const processor = getField(['Processor', 'CPU']) || 'Unknown';
-        const storage = getField(['Storage', 'SSD']) || 'Unknown';
-        const memory = getField(['Memory', 'RAM']) || 'Unknown';
-
-        // Simple product type detection
-        let productType = 'Apple Product';
-        const modelLower = model.toLowerCase();
-        
-        if (modelLower.includes('macbook pro')) productType = 'MacBook Pro';
-        else if (modelLower.includes('macbook air')) productType = 'MacBook Air';
-        else if (modelLower.includes('macbook')) productType = 'MacBook';
-        else if (modelLower.includes('ipad pro')) productType = 'iPad Pro';
-        else if (modelLower.includes('ipad')) productType = 'iPad';
-        else if (modelLower.includes('iphone')) productType = 'iPhone';
-        else if (modelLower.includes('imac')) productType = 'iMac';
-
-        // Create group key
-        const key = `${productType}_${processor}_${storage}`.replace(/[^a-zA-Z0-9_]/g, '');
+        // An identifier from the catalog settles type, size, year and chip - corrections are reported as warnings
+        if (catalogMatch) {
+          catalogRows++;
+          applyCatalogMatch(attributes, specs, catalogMatch).forEach(correction => {
+            issues.push({ sheet, row, severity: 'warning', field: correction.field, message: correction.message, value: correction.from });
+          });
+          Object.assign(attributes, { size: specs.displaySize, year: specs.year });
+          productType = attributes.type;
+          processor = attributes.chip;
+        }
+        const key = buildGroupKey(attributes, groupingDimensions);
 
         if (!groups[key]) {
+          const profile = typeProfile(taxonomy, productType);
           groups[key] = {
+            groupKey: key,
             productType,
             processor,
             storage,
             memory,
-            seoTitle: `${productType} - ${processor}, ${storage} | Certified Refurbished`,
-            basePrice: 999,
+            keyboard: attributes.keyboard,
+            // What the key was built from, so a sync can still find listings keyed under another grouping
+            identityAttributes: { ...attributes },
+            seoTitle: buildGroupTitle(attributes, groupingDimensions),
             items: [],
-            variants: { 'Default-A': { color: 'Default', condition: 'A', quantity: 0 } },
-            collections: [productType, 'Apple', 'Refurbished']
+            variants: {},
+            vendor: profile.vendor,
+            weight: profile.weight,
+            collections: profile.collections
           };
         }
 
-        groups[key].items.push({ model, originalData: item });
-        groups[key].variants['Default-A'].quantity++;
+        // First row with a value wins, later rows only fill gaps
+        mergeSpecs(groups[key], specs);
+
+        const variantId = variantKey(color, grade);
+        if (!groups[key].variants[variantId]) {
+          groups[key].variants[variantId] = { color, condition: grade, quantity: 0, costTotal: 0, costUnits: 0 };
+        }
+
+        const variant = groups[key].variants[variantId];
+        variant.quantity += quantity;
+
+        // Per-location stock when the sheet has a location column - blank cells go to the default location ('')
+        if (columnMapping[sheet].location !== undefined || variant.locations) {
+          // Units already counted from sheets without a location column stay at the default location
+          const earlier = variant.quantity - quantity;
+          variant.locations = variant.locations || (earlier > 0 ? { '': earlier } : {});
+          variant.locations[fields.location] = (variant.locations[fields.location] || 0) + quantity;
+        }
+        if (cost !== null) {
+          variant.costTotal += cost * quantity;
+          variant.costUnits += quantity;
+        }
+
+        const serial = normalizeSerial(fields.serial);
+        const catalog = catalogMatch ? { source: catalogMatch.source, identifier: catalogMatch.identifier } : null;
+        groups[key].items.push({ model, sheet, row, serial, specs, attributes, color, grade, quantity, cost, location: fields.location, catalog, originalData: item });
         categories[productType] = (categories[productType] || 0) + 1;
 
       } catch (err) {
-        console.log(`Error processing item ${index}: ${err.message}`);
+        console.log(`Error processing ${sheet} row ${row}: ${err.message}`);
+        issues.push({ sheet, row, severity: 'error', field: '', message: `Row could not be processed: ${err.message}`, value: '' });
       }
     });
 
+    // Price every group and variant from the rules table or unit cost
+    const pricingConfig = await loadPricingConfig(event);
+    Object.values(groups).forEach(group => priceGroup(group, pricingConfig));
+
+    const serialReport = await checkSerials(event, upload, groups);
+
+    const validation = buildValidationReport(
+      [...issues, ...duplicateSerialIssues(serialRows)],
+      sheets.map(sheet => sheet.name),
+      appleProducts.length
+    );
+    console.log(`Validation: ${validation.errors} errors, ${validation.warnings} warnings`);
+
+    const groupingReport = buildGroupingReport(groups, groupingDimensions);
+    console.log(`Grouping: ${groupingReport.mergedGroups} merged groups, ${groupingReport.mixedGroups} mixing configurations`);
+
     const result = {
       success: true,
       totalItems: appleProducts.length,
       groupCount: Object.keys(groups).length,
       categories,
+      sheets,
+      mapping: mappingSummary,
+      grouping: groupingReport,
+      serials: serialReport,
+      validation,
+      catalog: { matchedRows: catalogRows },
+      excluded: exclusionReport,
       productGroups: groups,
       debug: {
+        format,
+        sheetNames: sheets.map(sheet => sheet.name),
+        headers: allHeaders,
         totalRows: data.length,
         filteredRows: appleProducts.length
       }
@@ -194,7 +290,7 @@ exports.handler = async (event, context) => {
     console.error('Error:', error.message);
     
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({ 
         error: error.message,
@@ -203,3 +299,154 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// PARSE UPLOAD - Accepts a JSON envelope { file, fileName, format, sheets } or the legacy raw base64 body
+function parseUpload(event) {
+  if (!event.body) {
+    throw new Error('No file data received');
+  }
+
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  const contentType = (event.headers?.['content-type'] || event.headers?.['Content-Type'] || '').toLowerCase();
+  if (!contentType.includes('application/json')) {
+    return { buffer: Buffer.from(body, 'base64') };
+  }
+
+  const { file, fileName, format, sheets, profile, mapping, grouping } = JSON.parse(body);
+  if (!file) {
+    throw new Error('No file data received');
+  }
+
+  return {
+    buffer: Buffer.from(file, 'base64'),
+    fileName,
+    format,
+    sheets: typeof sheets === 'string' ? sheets.split(',') : sheets,
+    profile,
+    mapping,
+    grouping
+  };
+}
+
+// COLLECT HEADERS - Column names seen in each sheet
+function collectHeaders(records) {
+  const headers = {};
+  records.forEach(({ sheet, data }) => {
+    const sheetHeaders = headers[sheet] || (headers[sheet] = new Set());
+    Object.keys(data).forEach(key => sheetHeaders.add(key));
+  });
+
+  Object.keys(headers).forEach(sheet => {
+    headers[sheet] = [...headers[sheet]];
+  });
+  return headers;
+}
+
+// CHOOSE MAPPING PROFILE - Requested profile, or the saved profile that best fits the headers
+async function chooseProfile(event, upload, headers) {
+  let savedProfiles = [];
+  try {
+    savedProfiles = await listJSON(openStore('mapping-profiles', event));
+  } catch (error) {
+    console.log(`Could not load saved mapping profiles: ${error.message}`);
+  }
+
+  const { profile, suggestions } = detectProfile(headers, savedProfiles);
+
+  // An unsaved mapping sent straight from the profile editor
+  if (upload.mapping) {
+    return { profile: { id: 'custom', name: 'Unsaved mapping', columns: upload.mapping }, suggestions, detected: false };
+  }
+
+  if (!upload.profile || upload.profile === 'auto') {
+    return { profile, suggestions, detected: true };
+  }
+
+  if (upload.profile === DEFAULT_PROFILE.id) {
+    return { profile: DEFAULT_PROFILE, suggestions, detected: false };
+  }
+
+  const requested = savedProfiles.find(saved => saved.id === upload.profile);
+  if (!requested) {
+    const error = new Error(`Mapping profile not found: ${upload.profile}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { profile: requested, suggestions, detected: false };
+}
+
+// CHECK SERIALS - Duplicates inside this file and units already synced from earlier uploads.
+// Nothing is registered here; the sync records the units once they are on Shopify.
+async function checkSerials(event, upload, groups) {
+  const units = [];
+  let missing = 0;
+
+  Object.entries(groups).forEach(([groupKey, group]) => {
+    group.items.forEach(item => {
+      if (!item.serial) {
+        missing++;
+        return;
+      }
+      units.push({
+        serial: item.serial,
+        sheet: item.sheet,
+        row: item.row,
+        grade: item.grade,
+        color: item.color,
+        groupKey,
+        title: group.seoTitle
+      });
+    });
+  });
+
+  const report = {
+    total: units.length,
+    missing,
+    duplicatesInUpload: findDuplicateSerials(units),
+    previouslySeen: [],
+    uploadId: createUploadId(upload.buffer),
+    registry: 'checked'
+  };
+
+  if (units.length === 0) return report;
+
+  try {
+    report.previouslySeen = await findPreviouslySeen(openStore(UNIT_STORE, event), units, report.uploadId);
+  } catch (error) {
+    console.log(`Unit registry unavailable: ${error.message}`);
+    report.registry = 'unavailable';
+  }
+
+  console.log(`Serials: ${units.length} units, ${report.duplicatesInUpload.length} duplicated, ${report.previouslySeen.length} seen before`);
+  return report;
+}
+
+// Identifiers are only looked up in the model, part number and description columns - a serial or
+// a note can hold text that reads like a part number or an A-number
+function catalogText(item, mapping) {
+  const fields = readFields(item, mapping);
+  return [fields.model, fields.partNumber, fields.description].filter(Boolean).join(' ');
+}
+
+// EXCLUSION REPORT - Rows the Apple filter left out, counted by reason
+function buildExclusionReport(rows) {
+  const byReason = {};
+  rows.forEach(({ reason }) => {
+    byReason[reason] = (byReason[reason] || 0) + 1;
+  });
+  return { total: rows.length, byReason, rows };
+}
+
+// Bare numbers from columns like "RAM (GB)" or "HDD" are capacities in GB
+function withCapacityUnit(value) {
+  if (!/^\d+(\.\d+)?$/.test(value)) return value;
+
+  const gigabytes = Number(value);
+  if (gigabytes >= 1000 && gigabytes % 1024 === 0) return `${gigabytes / 1024}TB`;
+  if (gigabytes >= 1000 && gigabytes % 1000 === 0) return `${gigabytes / 1000}TB`;
+  return `${gigabytes}GB`;
+}
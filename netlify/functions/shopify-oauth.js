@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { AUTH_ALLOW_HEADERS, authError, requireAuth, sign, verify } = require('../lib/auth');
+const { normalizeStoreUrl, saveStore } = require('../lib/store-registry');
+
+const DEFAULT_SCOPES = 'read_products,write_products,read_inventory,write_inventory,read_locations,read_locales,write_translations';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function oauthConfig() {
+  const { SHOPIFY_API_KEY: apiKey, SHOPIFY_API_SECRET: apiSecret } = process.env;
+  if (!apiKey || !apiSecret) {
+    throw authError('Shopify app install is not configured - set SHOPIFY_API_KEY and SHOPIFY_API_SECRET', 503);
+  }
+  return { apiKey, apiSecret, scopes: process.env.SHOPIFY_SCOPES || DEFAULT_SCOPES };
+}
+
+function redirectUri(event) {
+  const host = event.headers?.host || event.headers?.Host;
+  return `${process.env.URL || `https://${host}`}/.netlify/functions/shopify-oauth`;
+}
+
+// VERIFY SHOPIFY HMAC - Every parameter but hmac, sorted, joined as a query string
+function verifyShopifyHmac(params, apiSecret) {
+  const message = Object.keys(params)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  const expected = crypto.createHmac('sha256', apiSecret).update(message).digest('hex');
+  const given = String(params.hmac || '');
+
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function redirect(location) {
+  return { statusCode: 302, headers: { Location: location }, body: '' };
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // INSTALL - A logged-in user asks for the authorize URL; the signed state ties the callback to it
+  if (event.httpMethod === 'POST') {
+    try {
+      requireAuth(event);
+      const { apiKey, scopes } = oauthConfig();
+      const { shop, name } = JSON.parse(event.body || '{}');
+      const storeUrl = normalizeStoreUrl(shop);
+
+      const state = sign({ shop: storeUrl, name, nonce: crypto.randomBytes(8).toString('hex'), exp: Date.now() + STATE_TTL_MS });
+      const authorizeUrl = `https://${storeUrl}/admin/oauth/authorize?` + new URLSearchParams({
+        client_id: apiKey,
+        scope: scopes,
+        redirect_uri: redirectUri(event),
+        state
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ authorizeUrl })
+      };
+
+    } catch (error) {
+      console.error('Shopify install error:', error.message);
+      return {
+        statusCode: error.statusCode || 500,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // CALLBACK - Shopify sends the browser back here with a code to exchange for an offline token
+  try {
+    const { apiKey, apiSecret } = oauthConfig();
+    const params = event.queryStringParameters || {};
+    const storeUrl = normalizeStoreUrl(params.shop);
+    const state = verify(params.state);
+
+    if (!verifyShopifyHmac(params, apiSecret)) {
+      throw authError('Shopify signature did not match');
+    }
+    if (!state || state.shop !== storeUrl) {
+      throw authError('Install link expired or was not started from this app');
+    }
+
+    const response = await fetch(`https://${storeUrl}/admin/oauth/access_token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: apiKey, client_secret: apiSecret, code: params.code })
+    });
+    if (!response.ok) {
+      throw new Error(`Token exchange failed: ${response.status} ${await response.text()}`);
+    }
+    const { access_token: apiToken, scope } = await response.json();
+
+    const store = await saveStore(event, { name: state.name, storeUrl, apiToken, source: 'oauth', scopes: scope });
+    console.log(`Installed on ${store.storeUrl} with scopes ${scope}`);
+    return redirect(`/?store=${encodeURIComponent(store.id)}`);
+
+  } catch (error) {
+    console.error('Shopify install callback error:', error.message);
+    return redirect(`/?storeError=${encodeURIComponent(error.message)}`);
+  }
+};
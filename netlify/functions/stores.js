@@ -0,0 +1,94 @@
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+const { listStores, saveStore, saveStorePricing, deleteStore } = require('../lib/store-registry');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+
+    // Configured stores for the picker - ids and names only, tokens stay on the server
+    if (event.httpMethod === 'GET') {
+      const stores = await listStores(event);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ stores, oauth: Boolean(process.env.SHOPIFY_API_KEY && process.env.SHOPIFY_API_SECRET) })
+      };
+    }
+
+    // Register a custom-app store by hand; the token is encrypted before it is stored
+    if (event.httpMethod === 'POST') {
+      const { name, storeUrl, apiToken } = JSON.parse(event.body || '{}');
+      const store = await saveStore(event, { name, storeUrl, apiToken });
+      console.log(`Registered store: ${store.storeUrl}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ store })
+      };
+    }
+
+    // Pricing for one store - its multiplier and rounding apply to every sync to it
+    if (event.httpMethod === 'PUT') {
+      const { id, pricing } = JSON.parse(event.body || '{}');
+      const stores = await listStores(event);
+      if (!stores.some(store => store.id === id)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: `Unknown store: ${id}` })
+        };
+      }
+
+      const saved = await saveStorePricing(event, id, pricing);
+      console.log(`Saved pricing for ${id}: x${saved.priceMultiplier}${saved.rounding ? `, ${saved.rounding}` : ''}`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ id, pricing: saved })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = event.queryStringParameters?.id;
+      if (!id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'A store id is required' })
+        };
+      }
+
+      await deleteStore(event, id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ deleted: id })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Store registry error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,193 @@
+const { openStore } = require('../lib/storage');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+const { DEFAULT_API_VERSION } = require('../lib/shopify-client');
+const { connect } = require('../lib/shopify-sync');
+const {
+  STORE_NAME, listAuditRuns, loadAuditRun, saveAuditRun, loadAuditChanges, undoChanges
+} = require('../lib/sync-audit');
+const { STORE_NAME: JOBS_STORE_NAME, loadJob, isStale } = require('../lib/sync-jobs');
+
+// Stop starting changes well inside the 10 second function limit; the page calls again for the rest
+const UNDO_BUDGET_MS = 6 * 1000;
+
+// STILL RUNNING - A run marked running whose background job finished or lost its worker is
+// not running any more; runs of the direct sync have no job to check, so only force gets past those
+async function stillRunning(event, run) {
+  if (run.status !== 'running') return false;
+  if (!run.jobId) return true;
+  const job = await loadJob(openStore(JOBS_STORE_NAME, event), run.jobId);
+  return Boolean(job) && ['queued', 'running'].includes(job.status) && !isStale(job);
+}
+
+// LATER CHANGES - Products the selection touches that a newer, not undone run changed again
+async function findLaterChanges(store, run, productIds) {
+  const later = (await listAuditRuns(store)).filter(other =>
+    other.storeId === run.storeId && other.startedAt > run.startedAt
+  );
+  const overlaps = [];
+
+  for (const other of later) {
+    const parts = await loadAuditChanges(store, other.id);
+    const touched = new Set(parts.flatMap(part => part.changes)
+      .filter(change => !change.undoneAt && change.productId && productIds.has(String(change.productId)))
+      .map(change => String(change.productId)));
+    if (touched.size > 0) {
+      overlaps.push({ runId: other.id, startedAt: other.startedAt, user: other.user, productIds: [...touched] });
+    }
+  }
+
+  return overlaps;
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { subject } = requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+
+    // History - every run, or one run with its changes
+    if (event.httpMethod === 'GET') {
+      const id = event.queryStringParameters?.id;
+      if (!id) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ runs: await listAuditRuns(store) })
+        };
+      }
+
+      const run = await loadAuditRun(store, id);
+      if (!run) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: `Sync run ${id} not found` })
+        };
+      }
+
+      const parts = await loadAuditChanges(store, id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ run, changes: parts.flatMap(part => part.changes) })
+      };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // UNDO - Revert a whole run, or just one product of it
+    // since (from the first call's answer) continues an undo without retrying what already failed in it
+    const { action, runId, productId, force, since } = JSON.parse(event.body || '{}');
+    if (action !== 'undo') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'action must be undo' })
+      };
+    }
+
+    const run = runId ? await loadAuditRun(store, runId) : null;
+    if (!run) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Sync run not found' })
+      };
+    }
+    if (!force && await stillRunning(event, run)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: 'This sync is still running - cancel it before undoing, or pass force if it was interrupted', running: true })
+      };
+    }
+
+    const parts = await loadAuditChanges(store, run.id);
+    const undoStartedAt = since || new Date().toISOString();
+    const selected = parts.flatMap(part => part.changes).filter(change =>
+      !change.undoneAt && (!productId || String(change.productId) === String(productId)) &&
+      !(since && change.undoFailedAt && change.undoFailedAt >= since)
+    );
+    if (selected.length === 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: productId ? `Nothing left to undo for product ${productId}` : 'Nothing left to undo in this run' })
+      };
+    }
+
+    // Undoing an older run over a newer one would silently throw the newer changes away
+    const productIds = new Set(selected.filter(change => change.productId).map(change => String(change.productId)));
+    const laterRuns = await findLaterChanges(store, run, productIds);
+    if (laterRuns.length > 0 && !force) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: 'Newer syncs changed the same products - undo those first or pass force', laterRuns })
+      };
+    }
+
+    // Changes are marked in place - each batch is written back once the undo moves past it, and
+    // straight away after a stock adjustment, which must never be repeated by a retry
+    const partOf = new Map();
+    parts.forEach(part => part.changes.forEach(change => partOf.set(change, part)));
+    let unsaved = null;
+    const saveMarks = async () => {
+      if (unsaved) await store.setJSON(unsaved.key, unsaved.changes);
+      unsaved = null;
+    };
+
+    const { shopify } = await connect({ storeId: run.storeId, apiVersion: DEFAULT_API_VERSION }, event);
+    const { report, remaining } = await undoChanges(shopify, selected, {
+      includeCollections: !productId,
+      deadline: Date.now() + UNDO_BUDGET_MS,
+      afterEach: async change => {
+        if (unsaved && unsaved !== partOf.get(change)) await saveMarks();
+        unsaved = partOf.get(change);
+        if (change.type === 'inventory') await saveMarks();
+      }
+    });
+    await saveMarks();
+
+    const failed = report.filter(entry => entry.error).length;
+    run.undos = [...(run.undos || []), {
+      at: new Date().toISOString(),
+      user: subject,
+      productId: productId || null,
+      reverted: report.length - failed,
+      failed,
+      remaining
+    }];
+    await saveAuditRun(store, run);
+    console.log(`Undo of ${run.id}${productId ? ` product ${productId}` : ''}: ${report.length - failed} reverted, ${failed} failed, ${remaining} left`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ runId: run.id, productId: productId || null, failed, remaining, since: undoStartedAt, report })
+    };
+
+  } catch (error) {
+    console.error('Sync audit error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,168 @@
+const { openStore } = require('../lib/storage');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+const { auditMeta, createAuditLog } = require('../lib/sync-audit');
+const { resolveSyncOptions, storeOptions, connect } = require('../lib/shopify-sync');
+const {
+  STORE_NAME, FINISHED_STATUSES, isLeased, isStale, isResumable, createJobs, saveJob, loadJob, summarizeJob, startWorker
+} = require('../lib/sync-jobs');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { subject } = requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+
+    // Job status - polled by the UI while the worker runs; ids=a,b polls every store of a run
+    if (event.httpMethod === 'GET') {
+      const ids = event.queryStringParameters?.ids;
+      if (ids) {
+        const jobs = await Promise.all(ids.split(',').map(id => loadJob(store, id.trim())));
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ jobs: jobs.filter(Boolean).map(summarizeJob) })
+        };
+      }
+
+      const id = event.queryStringParameters?.id;
+      if (!id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'A job id is required' })
+        };
+      }
+
+      const job = await loadJob(store, id);
+      if (!job) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: `Sync job ${id} not found` })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ job: summarizeJob(job) })
+      };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    // START - Check every store's credentials, store one job per store and hand each to a background worker
+    if (body.action === 'start') {
+      const options = resolveSyncOptions(body);
+      if (options.mode) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Plan and locations requests go to sync-shopify, not sync-jobs' })
+        };
+      }
+      const targets = storeOptions(options);
+      for (const target of targets) {
+        await connect(target, event);
+      }
+
+      const jobs = await createJobs(store, targets);
+      for (const [index, job] of jobs.entries()) {
+        // The job id doubles as the audit run id
+        await createAuditLog(event, job.id).begin(auditMeta(targets[index], subject, job.id));
+        await startWorker(event, job.id);
+        console.log(`Started sync job ${job.id} for ${targets[index].storeUrl} with ${job.order.length} groups`);
+      }
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({ job: summarizeJob(jobs[0]), jobs: jobs.map(summarizeJob) })
+      };
+    }
+
+    const job = body.jobId ? await loadJob(store, body.jobId) : null;
+    if (!job) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Sync job not found' })
+      };
+    }
+
+    // CANCEL - Jobs without a live worker stop now, a running worker stops after its current group
+    if (body.action === 'cancel') {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        job.cancelRequested = true;
+        if (['queued', 'paused'].includes(job.status) || isStale(job)) {
+          job.status = 'cancelled';
+          await createAuditLog(event, job.id).finish(job.results, 'cancelled');
+        }
+        await saveJob(store, job);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ job: summarizeJob(job) })
+      };
+    }
+
+    // RESUME - Pick up the pending groups of a paused, cancelled or failed job, or one whose worker died
+    if (body.action === 'resume') {
+      if (!isResumable(job)) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({
+            error: isLeased(job)
+              ? `The job's worker may still be running until ${job.leaseUntil} - resume after that`
+              : `A ${job.status} job cannot be resumed`
+          })
+        };
+      }
+      job.status = 'queued';
+      job.cancelRequested = false;
+      job.error = null;
+      await saveJob(store, job);
+      await startWorker(event, job.id);
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({ job: summarizeJob(job) })
+      };
+    }
+
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'action must be start, cancel or resume' })
+    };
+
+  } catch (error) {
+    console.error('Sync job error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,138 @@
+const { openStore } = require('../lib/storage');
+const { requireAuth } = require('../lib/auth');
+const { connect, prepareSync, beginSync, createSyncState, syncProductGroup, finishSync } = require('../lib/shopify-sync');
+const { STORE_NAME, saveJob, loadJob, loadJobGroups, claimJob, pendingKeys, startWorker } = require('../lib/sync-jobs');
+const { createAuditLog } = require('../lib/sync-audit');
+
+// Stop taking new groups well before the 15 minute background function limit
+const TIME_BUDGET_MS = 12 * 60 * 1000;
+
+// Hand-offs to a fresh invocation before the job is left paused for someone to resume
+const MAX_INVOCATIONS = 10;
+
+// How often the job is saved while prepareSync runs - a bulk snapshot alone can take minutes
+const HEARTBEAT_MS = 60 * 1000;
+
+// SAVE PROGRESS - Saved after every group, so updatedAt doubles as the worker's heartbeat;
+// keeps a cancel request that arrived while the group was syncing
+async function saveProgress(store, job) {
+  const latest = await loadJob(store, job.id);
+  job.cancelRequested = job.cancelRequested || Boolean(latest?.cancelRequested);
+  await saveJob(store, job);
+}
+
+// WHILE PREPARING - Keep saving the job while fn runs, so a long wait between groups does not look
+// like a worker that stopped
+async function withHeartbeat(store, job, fn) {
+  const timer = setInterval(() => {
+    saveProgress(store, job).catch(error => console.error(`Sync job ${job.id} heartbeat failed:`, error.message));
+  }, HEARTBEAT_MS);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// RELEASE - Let go of the job when this invocation stops working on it, so it can be resumed
+async function release(store, job) {
+  job.leaseUntil = null;
+  job.leaseHolder = null;
+  await saveJob(store, job);
+}
+
+// Background function (the -background suffix): Netlify answers 202 and runs this for up to 15 minutes
+exports.handler = async (event, context) => {
+  const startedAt = Date.now();
+
+  // Only the sync-jobs function (or an API key holder) may start the worker
+  try {
+    requireAuth(event);
+  } catch (error) {
+    console.error(`Sync worker: ${error.message}`);
+    return;
+  }
+
+  const { jobId } = JSON.parse(event.body || '{}');
+  const store = openStore(STORE_NAME, event);
+
+  // Two resumes close together start two workers - only the one whose claim holds goes on
+  const { job, reason } = jobId ? await claimJob(store, jobId, startedAt) : { job: null, reason: 'missing' };
+  if (!job) {
+    console.log(`Sync worker: job ${jobId} is ${reason}, nothing to do`);
+    return;
+  }
+
+  const audit = createAuditLog(event, job.id);
+
+  try {
+    const productGroups = await loadJobGroups(store, job.id);
+    const options = { ...job.options, productGroups };
+
+    // Matching is by group-key identity, so groups done by an earlier invocation are found again, not duplicated
+    const { shopify, shop } = await connect(options, event);
+    const run = await withHeartbeat(store, job, () => prepareSync(shopify, shop, options, event));
+    run.audit = audit;
+    job.results = await beginSync(run, job.results);
+    job.state = job.state || createSyncState();
+
+    let keys = pendingKeys(job);
+    while (keys.length > 0) {
+      if (job.cancelRequested) {
+        job.status = 'cancelled';
+        await release(store, job);
+        await audit.finish(job.results, 'cancelled');
+        console.log(`Sync job ${job.id} cancelled with ${keys.length} groups pending`);
+        return;
+      }
+
+      if (Date.now() - startedAt > TIME_BUDGET_MS) {
+        await handOff(event, store, job);
+        return;
+      }
+
+      // prepareSync swapped in the groups priced for this store
+      const key = keys[0];
+      const outcome = await syncProductGroup(run, key, options.productGroups[key], job.results, job.state);
+      job.groups[key] = { ...job.groups[key], ...outcome, finishedAt: new Date().toISOString() };
+
+      await saveProgress(store, job);
+      keys = pendingKeys(job);
+    }
+
+    await finishSync(run, job.results, job.state, event);
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    await release(store, job);
+    console.log(`Sync job ${job.id} completed`);
+
+  } catch (error) {
+    console.error(`Sync job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    await release(store, job);
+    await audit.finish(job.results, 'failed');
+  }
+};
+
+// HAND OFF - Continue in a fresh invocation, or pause when the job keeps running out of time
+async function handOff(event, store, job) {
+  if (job.invocations >= MAX_INVOCATIONS) {
+    job.status = 'paused';
+    job.error = `Paused after ${job.invocations} runs - resume to continue`;
+    await release(store, job);
+    return;
+  }
+
+  job.status = 'queued';
+  await release(store, job);
+
+  try {
+    await startWorker(event, job.id);
+    console.log(`Sync job ${job.id} handed off to a new invocation`);
+  } catch (error) {
+    job.status = 'paused';
+    job.error = error.message;
+    await saveJob(store, job);
+  }
+}
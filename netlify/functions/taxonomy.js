@@ -0,0 +1,66 @@
+const { openStore } = require('../lib/storage');
+const { STORE_NAME, DEFAULT_TAXONOMY, mergeTaxonomy, sanitizeTaxonomy } = require('../lib/taxonomy');
+const { AUTH_ALLOW_HEADERS, requireAuth } = require('../lib/auth');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': AUTH_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    requireAuth(event);
+    const store = openStore(STORE_NAME, event);
+
+    if (event.httpMethod === 'GET') {
+      const overrides = await store.get('config', { type: 'json' });
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeTaxonomy(overrides), defaults: DEFAULT_TAXONOMY })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { config } = JSON.parse(event.body || '{}');
+      const overrides = sanitizeTaxonomy(config);
+
+      await store.setJSON('config', overrides);
+      console.log(`Saved taxonomy: ${Object.keys(overrides).join(', ')}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: mergeTaxonomy(overrides) })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await store.delete('config');
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ config: DEFAULT_TAXONOMY })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Taxonomy error:', error.message);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
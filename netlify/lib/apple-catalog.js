@@ -0,0 +1,293 @@
+const { openStore } = require('./storage');
+const { parseSpecs } = require('./spec-parser');
+
+const STORE_NAME = 'apple-catalog';
+const MODEL_FIELDS = ['name', 'productType', 'displaySize', 'year', 'chip', 'storage', 'memory'];
+
+// Bundled catalog - saved overrides add models and part numbers or replace bundled ones.
+// Models are listed by the identifiers macOS reports (MacBookPro18,3) and the A-numbers printed
+// on the case (A2442); screen sizes follow Apple's model names ("MacBook Air (13-inch, M2, 2022)")
+// and storage and memory are the base configuration.
+const DEFAULT_CATALOG = {
+  models: [
+    { identifiers: ['MacBookAir8,1'], aNumbers: ['A1932'], name: 'MacBook Air 13-inch (2018)', productType: 'MacBook Air', displaySize: '13-inch', year: '2018', chip: 'Intel Core i5', colors: ['Space Gray', 'Silver', 'Gold'], storage: '128GB', memory: '8GB' },
+    { identifiers: ['MacBookAir8,2'], aNumbers: ['A1932'], name: 'MacBook Air 13-inch (2019)', productType: 'MacBook Air', displaySize: '13-inch', year: '2019', chip: 'Intel Core i5', colors: ['Space Gray', 'Silver', 'Gold'], storage: '128GB', memory: '8GB' },
+    { identifiers: ['MacBookAir9,1'], aNumbers: ['A2179'], name: 'MacBook Air 13-inch (2020)', productType: 'MacBook Air', displaySize: '13-inch', year: '2020', chip: 'Intel Core i3', colors: ['Space Gray', 'Silver', 'Gold'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['MacBookAir10,1'], aNumbers: ['A2337'], name: 'MacBook Air 13-inch (M1, 2020)', productType: 'MacBook Air', displaySize: '13-inch', year: '2020', chip: 'M1', colors: ['Space Gray', 'Silver', 'Gold'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['Mac14,2'], aNumbers: ['A2681'], name: 'MacBook Air 13-inch (M2, 2022)', productType: 'MacBook Air', displaySize: '13-inch', year: '2022', chip: 'M2', colors: ['Midnight', 'Starlight', 'Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['Mac14,15'], aNumbers: ['A2941'], name: 'MacBook Air 15-inch (M2, 2023)', productType: 'MacBook Air', displaySize: '15-inch', year: '2023', chip: 'M2', colors: ['Midnight', 'Starlight', 'Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['Mac15,12'], aNumbers: ['A3113'], name: 'MacBook Air 13-inch (M3, 2024)', productType: 'MacBook Air', displaySize: '13-inch', year: '2024', chip: 'M3', colors: ['Midnight', 'Starlight', 'Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['Mac15,13'], aNumbers: ['A3114'], name: 'MacBook Air 15-inch (M3, 2024)', productType: 'MacBook Air', displaySize: '15-inch', year: '2024', chip: 'M3', colors: ['Midnight', 'Starlight', 'Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['MacBookPro15,1'], aNumbers: ['A1990'], name: 'MacBook Pro 15-inch (2018-2019)', productType: 'MacBook Pro', displaySize: '15-inch', chip: 'Intel Core i7', colors: ['Space Gray', 'Silver'], storage: '256GB', memory: '16GB' },
+    { identifiers: ['MacBookPro16,1', 'MacBookPro16,4'], aNumbers: ['A2141'], name: 'MacBook Pro 16-inch (2019)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2019', chip: 'Intel Core i7', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['MacBookPro16,2'], aNumbers: ['A2251'], name: 'MacBook Pro 13-inch (2020, Four Thunderbolt 3 ports)', productType: 'MacBook Pro', displaySize: '13-inch', year: '2020', chip: 'Intel Core i5', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['MacBookPro16,3'], aNumbers: ['A2289'], name: 'MacBook Pro 13-inch (2020, Two Thunderbolt 3 ports)', productType: 'MacBook Pro', displaySize: '13-inch', year: '2020', chip: 'Intel Core i5', colors: ['Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['MacBookPro17,1'], aNumbers: ['A2338'], name: 'MacBook Pro 13-inch (M1, 2020)', productType: 'MacBook Pro', displaySize: '13-inch', year: '2020', chip: 'M1', colors: ['Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['Mac14,7'], aNumbers: ['A2338'], name: 'MacBook Pro 13-inch (M2, 2022)', productType: 'MacBook Pro', displaySize: '13-inch', year: '2022', chip: 'M2', colors: ['Space Gray', 'Silver'], storage: '256GB', memory: '8GB' },
+    { identifiers: ['MacBookPro18,3'], aNumbers: ['A2442'], name: 'MacBook Pro 14-inch (M1 Pro, 2021)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2021', chip: 'M1 Pro', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['MacBookPro18,4'], aNumbers: ['A2442'], name: 'MacBook Pro 14-inch (M1 Max, 2021)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2021', chip: 'M1 Max', colors: ['Space Gray', 'Silver'], storage: '1TB', memory: '32GB' },
+    { identifiers: ['MacBookPro18,1'], aNumbers: ['A2485'], name: 'MacBook Pro 16-inch (M1 Pro, 2021)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2021', chip: 'M1 Pro', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['MacBookPro18,2'], aNumbers: ['A2485'], name: 'MacBook Pro 16-inch (M1 Max, 2021)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2021', chip: 'M1 Max', colors: ['Space Gray', 'Silver'], storage: '1TB', memory: '32GB' },
+    { identifiers: ['Mac14,9'], aNumbers: ['A2779'], name: 'MacBook Pro 14-inch (M2 Pro, 2023)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2023', chip: 'M2 Pro', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['Mac14,5'], aNumbers: ['A2779'], name: 'MacBook Pro 14-inch (M2 Max, 2023)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2023', chip: 'M2 Max', colors: ['Space Gray', 'Silver'], storage: '1TB', memory: '32GB' },
+    { identifiers: ['Mac14,10'], aNumbers: ['A2780'], name: 'MacBook Pro 16-inch (M2 Pro, 2023)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2023', chip: 'M2 Pro', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '16GB' },
+    { identifiers: ['Mac14,6'], aNumbers: ['A2780'], name: 'MacBook Pro 16-inch (M2 Max, 2023)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2023', chip: 'M2 Max', colors: ['Space Gray', 'Silver'], storage: '1TB', memory: '32GB' },
+    { identifiers: ['Mac15,3'], aNumbers: ['A2918'], name: 'MacBook Pro 14-inch (M3, Nov 2023)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2023', chip: 'M3', colors: ['Space Gray', 'Silver'], storage: '512GB', memory: '8GB' },
+    { identifiers: ['Mac15,6'], aNumbers: ['A2992'], name: 'MacBook Pro 14-inch (M3 Pro, Nov 2023)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2023', chip: 'M3 Pro', colors: ['Space Black', 'Silver'], storage: '512GB', memory: '18GB' },
+    { identifiers: ['Mac15,8', 'Mac15,10'], aNumbers: ['A2992'], name: 'MacBook Pro 14-inch (M3 Max, Nov 2023)', productType: 'MacBook Pro', displaySize: '14-inch', year: '2023', chip: 'M3 Max', colors: ['Space Black', 'Silver'], storage: '1TB', memory: '36GB' },
+    { identifiers: ['Mac15,7'], aNumbers: ['A2991'], name: 'MacBook Pro 16-inch (M3 Pro, Nov 2023)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2023', chip: 'M3 Pro', colors: ['Space Black', 'Silver'], storage: '512GB', memory: '18GB' },
+    { identifiers: ['Mac15,9', 'Mac15,11'], aNumbers: ['A2991'], name: 'MacBook Pro 16-inch (M3 Max, Nov 2023)', productType: 'MacBook Pro', displaySize: '16-inch', year: '2023', chip: 'M3 Max', colors: ['Space Black', 'Silver'], storage: '1TB', memory: '36GB' },
+    { identifiers: ['iPad13,18', 'iPad13,19'], aNumbers: ['A2696', 'A2757', 'A2777'], name: 'iPad (10th generation)', productType: 'iPad', displaySize: '10.9-inch', year: '2022', chip: 'A14 Bionic', colors: ['Blue', 'Pink', 'Yellow', 'Silver'], storage: '64GB', memory: '4GB' }
+  ],
+
+  // Part numbers without the region code and "/A" (MK183LL/A, MK183C/A and MK183B/A are all MK183)
+  partNumbers: {
+    MWTJ2: { identifier: 'MacBookAir9,1', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MWTK2: { identifier: 'MacBookAir9,1', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MWTL2: { identifier: 'MacBookAir9,1', color: 'Gold', storage: '256GB', memory: '8GB' },
+    MGN63: { identifier: 'MacBookAir10,1', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MGN93: { identifier: 'MacBookAir10,1', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MGND3: { identifier: 'MacBookAir10,1', color: 'Gold', storage: '256GB', memory: '8GB' },
+    MGN73: { identifier: 'MacBookAir10,1', color: 'Space Gray', storage: '512GB', memory: '8GB' },
+    MGNA3: { identifier: 'MacBookAir10,1', color: 'Silver', storage: '512GB', memory: '8GB' },
+    MGNE3: { identifier: 'MacBookAir10,1', color: 'Gold', storage: '512GB', memory: '8GB' },
+    MLY33: { identifier: 'Mac14,2', color: 'Midnight', storage: '256GB', memory: '8GB' },
+    MLY13: { identifier: 'Mac14,2', color: 'Starlight', storage: '256GB', memory: '8GB' },
+    MLXW3: { identifier: 'Mac14,2', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MLXY3: { identifier: 'Mac14,2', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MLY43: { identifier: 'Mac14,2', color: 'Midnight', storage: '512GB', memory: '8GB' },
+    MLY23: { identifier: 'Mac14,2', color: 'Starlight', storage: '512GB', memory: '8GB' },
+    MLXX3: { identifier: 'Mac14,2', color: 'Space Gray', storage: '512GB', memory: '8GB' },
+    MLY03: { identifier: 'Mac14,2', color: 'Silver', storage: '512GB', memory: '8GB' },
+    MQKW3: { identifier: 'Mac14,15', color: 'Midnight', storage: '256GB', memory: '8GB' },
+    MQKU3: { identifier: 'Mac14,15', color: 'Starlight', storage: '256GB', memory: '8GB' },
+    MQKP3: { identifier: 'Mac14,15', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MQKR3: { identifier: 'Mac14,15', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MVVJ2: { identifier: 'MacBookPro16,1', color: 'Space Gray', storage: '512GB', memory: '16GB' },
+    MVVL2: { identifier: 'MacBookPro16,1', color: 'Silver', storage: '512GB', memory: '16GB' },
+    MYD82: { identifier: 'MacBookPro17,1', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MYDA2: { identifier: 'MacBookPro17,1', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MYD92: { identifier: 'MacBookPro17,1', color: 'Space Gray', storage: '512GB', memory: '8GB' },
+    MYDC2: { identifier: 'MacBookPro17,1', color: 'Silver', storage: '512GB', memory: '8GB' },
+    MNEH3: { identifier: 'Mac14,7', color: 'Space Gray', storage: '256GB', memory: '8GB' },
+    MNEP3: { identifier: 'Mac14,7', color: 'Silver', storage: '256GB', memory: '8GB' },
+    MNEJ3: { identifier: 'Mac14,7', color: 'Space Gray', storage: '512GB', memory: '8GB' },
+    MNEQ3: { identifier: 'Mac14,7', color: 'Silver', storage: '512GB', memory: '8GB' },
+    MKGR3: { identifier: 'MacBookPro18,3', color: 'Space Gray', storage: '512GB', memory: '16GB' },
+    MKGP3: { identifier: 'MacBookPro18,3', color: 'Silver', storage: '512GB', memory: '16GB' },
+    MKGQ3: { identifier: 'MacBookPro18,3', color: 'Space Gray', storage: '1TB', memory: '16GB' },
+    MKGT3: { identifier: 'MacBookPro18,3', color: 'Silver', storage: '1TB', memory: '16GB' },
+    MK183: { identifier: 'MacBookPro18,1', color: 'Space Gray', storage: '512GB', memory: '16GB' },
+    MK1E3: { identifier: 'MacBookPro18,1', color: 'Silver', storage: '512GB', memory: '16GB' },
+    MK193: { identifier: 'MacBookPro18,1', color: 'Space Gray', storage: '1TB', memory: '16GB' },
+    MK1F3: { identifier: 'MacBookPro18,1', color: 'Silver', storage: '1TB', memory: '16GB' },
+    MK1A3: { identifier: 'MacBookPro18,2', color: 'Space Gray', storage: '1TB', memory: '32GB' },
+    MK1H3: { identifier: 'MacBookPro18,2', color: 'Silver', storage: '1TB', memory: '32GB' },
+    MPHE3: { identifier: 'Mac14,9', color: 'Space Gray', storage: '512GB', memory: '16GB' },
+    MPHH3: { identifier: 'Mac14,9', color: 'Silver', storage: '512GB', memory: '16GB' },
+    MPHF3: { identifier: 'Mac14,9', color: 'Space Gray', storage: '1TB', memory: '16GB' },
+    MPHJ3: { identifier: 'Mac14,9', color: 'Silver', storage: '1TB', memory: '16GB' },
+    MNW83: { identifier: 'Mac14,10', color: 'Space Gray', storage: '512GB', memory: '16GB' },
+    MNWC3: { identifier: 'Mac14,10', color: 'Silver', storage: '512GB', memory: '16GB' },
+    MTL73: { identifier: 'Mac15,3', color: 'Space Gray', storage: '512GB', memory: '8GB' },
+    MR7J3: { identifier: 'Mac15,3', color: 'Silver', storage: '512GB', memory: '8GB' },
+    MRX33: { identifier: 'Mac15,6', color: 'Space Black', storage: '512GB', memory: '18GB' },
+    MRX63: { identifier: 'Mac15,6', color: 'Silver', storage: '512GB', memory: '18GB' },
+    MRW13: { identifier: 'Mac15,7', color: 'Space Black', storage: '512GB', memory: '18GB' },
+    MRW43: { identifier: 'Mac15,7', color: 'Silver', storage: '512GB', memory: '18GB' }
+  }
+};
+
+const PART_NUMBER = /\b([A-Z][A-Z0-9]{3}\d)([A-Z]{1,2})?(?:\/A)?\b/gi;
+const MODEL_IDENTIFIER = /\b((?:MacBookPro|MacBookAir|MacBook|Macmini|MacPro|iMac|Mac|iPad)\d{1,2},\d{1,2})\b/gi;
+const A_NUMBER = /\bA\d{4}\b/gi;
+
+function invalid(message) {
+  const error = new Error(`Invalid catalog: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+// "MK183LL/A", "mk183c/a" and "MK183" all become MK183
+function partNumberBase(value) {
+  const match = String(value).toUpperCase().match(/^([A-Z][A-Z0-9]{3}\d)(?:[A-Z]{1,2})?(?:\/A)?$/);
+  return match ? match[1] : null;
+}
+
+// MERGE CATALOG - A saved model replaces the bundled models that share one of its identifiers
+function mergeCatalog(overrides) {
+  const models = overrides?.models || [];
+  const replaced = new Set(models.flatMap(model => model.identifiers || []).map(id => id.toLowerCase()));
+
+  return {
+    models: [
+      ...DEFAULT_CATALOG.models.filter(model => !model.identifiers.some(id => replaced.has(id.toLowerCase()))),
+      ...models
+    ],
+    partNumbers: { ...DEFAULT_CATALOG.partNumbers, ...(overrides?.partNumbers || {}) }
+  };
+}
+
+function sanitizeModel(input, index) {
+  const label = input?.name || `model ${index + 1}`;
+  const list = value => (Array.isArray(value) ? value : []).map(entry => String(entry).trim()).filter(Boolean);
+
+  const model = {
+    identifiers: list(input?.identifiers),
+    aNumbers: list(input?.aNumbers).map(aNumber => aNumber.toUpperCase()),
+    colors: list(input?.colors)
+  };
+  MODEL_FIELDS.forEach(field => {
+    if (input?.[field] !== undefined && input[field] !== null && String(input[field]).trim()) {
+      model[field] = String(input[field]).trim();
+    }
+  });
+
+  if (!model.name || !model.productType) throw invalid(`${label} needs a name and a productType`);
+  if (model.identifiers.length === 0 && model.aNumbers.length === 0) {
+    throw invalid(`${label} needs at least one model identifier or A-number`);
+  }
+  if (model.aNumbers.some(aNumber => !/^A\d{4}$/.test(aNumber))) throw invalid(`${label} has an A-number that is not like A2442`);
+  return model;
+}
+
+// SANITIZE CATALOG - { models: [...], partNumbers: { MK183: { identifier, color, storage, memory } } }
+function sanitizeCatalog(input) {
+  if (!input || typeof input !== 'object') throw invalid('expected an object with models and partNumbers');
+  if (input.models !== undefined && !Array.isArray(input.models)) throw invalid('models must be a list');
+
+  const models = (input.models || []).map(sanitizeModel);
+  const known = new Set(mergeCatalog({ models }).models.flatMap(model => model.identifiers).map(id => id.toLowerCase()));
+
+  const partNumbers = {};
+  Object.entries(input.partNumbers || {}).forEach(([partNumber, entry]) => {
+    const base = partNumberBase(partNumber.trim());
+    if (!base) throw invalid(`"${partNumber}" is not a part number like MK183LL/A`);
+    if (!known.has(String(entry?.identifier || '').toLowerCase())) {
+      throw invalid(`${partNumber} points at unknown model identifier "${entry?.identifier}"`);
+    }
+    partNumbers[base] = { identifier: entry.identifier };
+    ['color', 'storage', 'memory'].forEach(field => {
+      if (entry[field]) partNumbers[base][field] = String(entry[field]).trim();
+    });
+  });
+
+  return { models, partNumbers };
+}
+
+// Fields every model sharing an A-number agrees on - A2442 is a 14-inch 2021 MacBook Pro, chip unknown
+function commonFields(models) {
+  const common = { colors: [...new Set(models.flatMap(model => model.colors || []))] };
+  MODEL_FIELDS.forEach(field => {
+    const values = new Set(models.map(model => model[field]));
+    if (values.size === 1 && models[0][field] !== undefined) common[field] = models[0][field];
+  });
+  if (!common.name) {
+    common.name = [common.productType, common.displaySize, common.year && `(${common.year})`].filter(Boolean).join(' ');
+  }
+  return common;
+}
+
+// CREATE CATALOG LOOKUP - Finds the first identifier in a row's text; a part number is the most
+// specific (color and configuration), then the model identifier, then the A-number
+function createCatalogLookup(catalog) {
+  const byIdentifier = {};
+  const byANumber = {};
+  catalog.models.forEach(model => {
+    (model.identifiers || []).forEach(id => {
+      byIdentifier[id.toLowerCase()] = model;
+    });
+    (model.aNumbers || []).forEach(aNumber => {
+      (byANumber[aNumber.toUpperCase()] = byANumber[aNumber.toUpperCase()] || []).push(model);
+    });
+  });
+
+  const modelFields = model => {
+    const { identifiers, aNumbers, ...fields } = model;
+    return fields;
+  };
+
+  return text => {
+    const value = String(text || '');
+
+    for (const match of value.matchAll(PART_NUMBER)) {
+      const part = catalog.partNumbers[match[1].toUpperCase()];
+      const model = part && byIdentifier[part.identifier.toLowerCase()];
+      if (model) {
+        const { identifier, ...configuration } = part;
+        return { source: 'part number', identifier: match[0].toUpperCase(), ...modelFields(model), ...configuration };
+      }
+    }
+
+    for (const match of value.matchAll(MODEL_IDENTIFIER)) {
+      const model = byIdentifier[match[1].toLowerCase()];
+      if (model) return { source: 'model identifier', identifier: match[1], ...modelFields(model) };
+    }
+
+    for (const match of value.matchAll(A_NUMBER)) {
+      const models = byANumber[match[0].toUpperCase()];
+      if (models) return { source: 'A-number', identifier: match[0].toUpperCase(), ...commonFields(models) };
+    }
+
+    return null;
+  };
+}
+
+// A sheet giving the exact size ("13.3") for Apple's "13-inch" is not worth reporting as a correction
+function sameSize(a, b) {
+  return Math.floor(parseFloat(a)) === Math.floor(parseFloat(b));
+}
+
+// APPLY CATALOG MATCH - The identifier decides type, screen size, year and chip over what the text
+// suggested; returns what changed so it can be reported against the row
+function applyCatalogMatch(attributes, specs, match) {
+  const corrections = [];
+  const correct = (label, from, to) => {
+    if (from && from !== 'Unknown' && from !== 'Apple Product' && from !== to) {
+      corrections.push({ field: label.toLowerCase(), from, to, message: `${label} "${from}" corrected to "${to}" from ${match.source} ${match.identifier}` });
+    }
+  };
+
+  if (match.productType) {
+    correct('Type', attributes.type, match.productType);
+    attributes.type = match.productType;
+  }
+  if (match.displaySize) {
+    if (!specs.displaySize || !sameSize(specs.displaySize, match.displaySize)) correct('Size', specs.displaySize, match.displaySize);
+    specs.displaySize = match.displaySize;
+  }
+  if (match.year) {
+    correct('Year', specs.year, match.year);
+    specs.year = match.year;
+  }
+  if (match.chip) {
+    correct('Chip', attributes.chip, match.chip);
+    delete specs.chipGeneration;
+    Object.assign(specs, parseSpecs(match.chip), { chip: match.chip });
+    attributes.chip = match.chip;
+  }
+
+  return corrections;
+}
+
+// LOAD CATALOG - Saved additions on top of the bundled catalog
+async function loadCatalog(event) {
+  try {
+    const overrides = await openStore(STORE_NAME, event).get('config', { type: 'json' });
+    return mergeCatalog(overrides);
+  } catch (error) {
+    console.log(`Could not load the Apple catalog overrides, using the bundled catalog: ${error.message}`);
+    return mergeCatalog(null);
+  }
+}
+
+module.exports = {
+  STORE_NAME,
+  DEFAULT_CATALOG,
+  partNumberBase,
+  mergeCatalog,
+  sanitizeCatalog,
+  createCatalogLookup,
+  applyCatalogMatch,
+  loadCatalog
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Browsers send a session token as a Bearer header, scripts send an API key
+const AUTH_ALLOW_HEADERS = 'Content-Type, Authorization, X-Api-Key';
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const INTERNAL_TTL_MS = 15 * 60 * 1000;
+
+function authError(message, statusCode = 401) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function apiKeys() {
+  return (process.env.APP_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+function secret() {
+  const value = process.env.AUTH_SECRET;
+  if (!value) {
+    throw authError('AUTH_SECRET is not set - session tokens cannot be issued or checked', 503);
+  }
+  return value;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function header(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+// SIGN / VERIFY - Compact HMAC-signed payloads for sessions, worker calls and OAuth state
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function verify(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  return payload.exp && payload.exp > Date.now() ? payload : null;
+}
+
+function createSessionToken(subject, ttlMs = SESSION_TTL_MS) {
+  const exp = Date.now() + ttlMs;
+  return { token: sign({ sub: subject, exp }), expiresAt: new Date(exp).toISOString() };
+}
+
+// LOGIN - Exchange the shared APP_PASSWORD for a session token; the name is what the audit log shows
+function login(password, name) {
+  if (!process.env.APP_PASSWORD) {
+    throw authError('Password login is not configured - set APP_PASSWORD and AUTH_SECRET', 503);
+  }
+  if (!password || !safeEqual(password, process.env.APP_PASSWORD)) {
+    throw authError('Incorrect password');
+  }
+  return createSessionToken(String(name || '').trim().slice(0, 60) || 'user');
+}
+
+// REQUIRE AUTH - Accepts an APP_API_KEYS key or a session token; fails closed when nothing is configured
+function requireAuth(event) {
+  const keys = apiKeys();
+  if (keys.length === 0 && !process.env.APP_PASSWORD) {
+    throw authError('Authentication is not configured - set APP_PASSWORD and AUTH_SECRET, or APP_API_KEYS', 503);
+  }
+
+  const apiKey = header(event, 'x-api-key');
+  const keyIndex = apiKey ? keys.findIndex(key => safeEqual(key, apiKey)) : -1;
+  if (keyIndex !== -1) {
+    return { subject: `api-key-${keyIndex + 1}` };
+  }
+
+  const bearer = (header(event, 'authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const session = bearer && process.env.AUTH_SECRET ? verify(bearer[1]) : null;
+  if (session && session.sub) {
+    return { subject: session.sub };
+  }
+
+  throw authError('Login required');
+}
+
+// INTERNAL HEADERS - Credentials for one function calling another (e.g. the background worker)
+function internalHeaders() {
+  if (process.env.AUTH_SECRET) {
+    return { Authorization: `Bearer ${createSessionToken('internal', INTERNAL_TTL_MS).token}` };
+  }
+  const [key] = apiKeys();
+  return key ? { 'X-Api-Key': key } : {};
+}
+
+module.exports = {
+  AUTH_ALLOW_HEADERS,
+  authError,
+  sign,
+  verify,
+  login,
+  requireAuth,
+  internalHeaders
+};
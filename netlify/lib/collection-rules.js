@@ -0,0 +1,152 @@
+const { openStore, loadConfig } = require('./storage');
+
+const STORE_NAME = 'collection-rules';
+const MATCH_MODES = ['all', 'any'];
+
+// Same slug createProductTags writes for product types and chips ("M2 Pro" -> "m2-pro")
+function tagSlug(value) {
+  return String(value).toLowerCase().replace(/\s+/g, '-');
+}
+
+// Condition fields and the Shopify smart collection rule each one becomes. Chips are matched
+// through their tag; a price band is priceMin plus priceMax with match "all".
+const CONDITION_FIELDS = {
+  productType: value => ({ column: 'type', relation: 'equals', condition: value }),
+  tag: value => ({ column: 'tag', relation: 'equals', condition: value }),
+  chip: value => ({ column: 'tag', relation: 'equals', condition: tagSlug(value) }),
+  title: value => ({ column: 'title', relation: 'contains', condition: value }),
+  priceMin: value => ({ column: 'variant_price', relation: 'greater_than', condition: value }),
+  priceMax: value => ({ column: 'variant_price', relation: 'less_than', condition: value })
+};
+const PRICE_FIELDS = ['priceMin', 'priceMax'];
+
+// No smart collections until some are defined; group collections from the sheet stay manual
+const DEFAULT_COLLECTION_RULES = {
+  smartCollections: []
+};
+
+function invalid(message) {
+  const error = new Error(`Invalid collection rules: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function mergeCollectionRules(overrides) {
+  return { smartCollections: overrides?.smartCollections || DEFAULT_COLLECTION_RULES.smartCollections };
+}
+
+function sanitizeCondition(condition, title) {
+  const field = condition?.field;
+  if (!CONDITION_FIELDS[field]) {
+    throw invalid(`"${title}" has an unknown field "${field}" - use ${Object.keys(CONDITION_FIELDS).join(', ')}`);
+  }
+
+  const value = String(condition.value ?? '').trim();
+  if (!value) throw invalid(`"${title}" has an empty ${field}`);
+  if (PRICE_FIELDS.includes(field) && !(Number(value) >= 0)) {
+    throw invalid(`"${title}" ${field} must be a positive number`);
+  }
+  return { field, value: PRICE_FIELDS.includes(field) ? String(Number(value)) : value };
+}
+
+// SANITIZE COLLECTION RULES - { smartCollections: [{ title, match, conditions: [{ field, value }] }] }
+function sanitizeCollectionRules(input) {
+  if (!input || !Array.isArray(input.smartCollections)) throw invalid('expected smartCollections to be a list');
+
+  const titles = new Set();
+  const smartCollections = input.smartCollections.map(definition => {
+    const title = String(definition?.title || '').trim();
+    if (!title || title.length > 255) throw invalid('every smart collection needs a title of up to 255 characters');
+    if (titles.has(title.toLowerCase())) throw invalid(`"${title}" is defined twice`);
+    titles.add(title.toLowerCase());
+
+    const match = definition.match || 'all';
+    if (!MATCH_MODES.includes(match)) throw invalid(`"${title}" match must be one of: ${MATCH_MODES.join(', ')}`);
+    if (!Array.isArray(definition.conditions) || definition.conditions.length === 0) {
+      throw invalid(`"${title}" needs at least one condition`);
+    }
+
+    return { title, match, conditions: definition.conditions.map(condition => sanitizeCondition(condition, title)) };
+  });
+
+  return { smartCollections };
+}
+
+// SMART COLLECTION RULES - The rules and disjunctive flag Shopify stores for a definition
+function smartCollectionRules(definition) {
+  return {
+    rules: definition.conditions.map(({ field, value }) => CONDITION_FIELDS[field](value)),
+    disjunctive: definition.match === 'any'
+  };
+}
+
+// Shopify returns rules in the order they were saved and prices as "500.0" - compare loosely
+function sameRules(collection, wanted) {
+  const key = rule => {
+    const number = Number(rule.condition);
+    const condition = rule.column === 'variant_price' && Number.isFinite(number) ? String(number) : String(rule.condition).toLowerCase();
+    return `${rule.column}|${rule.relation}|${condition}`;
+  };
+  const current = (collection.rules || []).map(key).sort();
+  const next = wanted.rules.map(key).sort();
+  return Boolean(collection.disjunctive) === wanted.disjunctive &&
+    current.length === next.length && current.every((entry, index) => entry === next[index]);
+}
+
+function collectionHandle(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+}
+
+// MEMBERSHIP CHANGES - Collections to add and remove for one product. Only managed collections
+// (ones the sync has assigned by name) are ever left; anything added by hand stays.
+function membershipChanges(currentIds, wantedIds, managedIds) {
+  const current = currentIds.map(String);
+  const wanted = wantedIds.map(String);
+  const managed = new Set(managedIds.map(String));
+  return {
+    add: wanted.filter(id => !current.includes(id)),
+    remove: current.filter(id => managed.has(id) && !wanted.includes(id))
+  };
+}
+
+function managedKey(storeId) {
+  return `managed/${storeId}`;
+}
+
+// LOAD COLLECTION RULES - The Shopify store's own smart collections (or the shared ones) plus
+// the collections its syncs manage; a missing blob store means no smart collections and nothing to remove
+async function loadCollectionRules(event, storeId) {
+  try {
+    const store = openStore(STORE_NAME, event);
+    const config = mergeCollectionRules((await loadConfig(store, storeId)).overrides);
+    const managed = (await store.get(managedKey(storeId), { type: 'json' })) || [];
+    return { config, managed, store, storeId };
+  } catch (error) {
+    console.log(`Could not load collection rules, using defaults: ${error.message}`);
+    return { config: mergeCollectionRules(null), managed: [], store: null, storeId };
+  }
+}
+
+// Remember every collection the sync assigns by name, so later runs can take products out of it
+async function saveManagedCollections(rules, collectionIds) {
+  const managed = [...new Set([...rules.managed, ...collectionIds].map(Number))];
+  if (!rules.store || managed.length === rules.managed.length) return;
+
+  await rules.store.setJSON(managedKey(rules.storeId), managed);
+  rules.managed = managed;
+}
+
+module.exports = {
+  STORE_NAME,
+  CONDITION_FIELDS,
+  DEFAULT_COLLECTION_RULES,
+  tagSlug,
+  mergeCollectionRules,
+  sanitizeCollectionRules,
+  smartCollectionRules,
+  sameRules,
+  collectionHandle,
+  membershipChanges,
+  loadCollectionRules,
+  saveManagedCollections
+};
@@ -0,0 +1,146 @@
+// Fields process-excel reads from each row, in the order the profile editor shows them
+const FIELDS = ['model', 'partNumber', 'description', 'category', 'processor', 'storage', 'memory', 'keyboard', 'color', 'grade', 'serial', 'cost', 'quantity', 'location'];
+
+// Built-in profile used when no saved profile fits the uploaded headers
+const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Generic (built-in)',
+  supplier: '',
+  builtIn: true,
+  columns: {
+    model: ['Model', 'Product', 'Name', 'Description', 'Product Description', 'Item', 'Title'],
+    partNumber: ['Part Number', 'Part No', 'Part #', 'MPN', 'Apple Part Number', 'Model Number'],
+    description: ['Description', 'Product Description', 'Specs', 'Specifications', 'Details', 'Notes'],
+    category: ['Sub-Category', 'Category', 'Type', 'Product Type'],
+    processor: ['Processor', 'CPU', 'Chip', 'Config', 'Configuration'],
+    storage: ['Storage', 'SSD', 'HDD', 'Capacity', 'Storage (GB)', 'SSD (GB)', 'HDD (GB)'],
+    memory: ['Memory', 'RAM', 'RAM (GB)', 'Memory (GB)'],
+    keyboard: ['Keyboard', 'Keyboard Layout', 'Layout', 'KB', 'Language'],
+    color: ['Color', 'Colour'],
+    grade: ['Grade', 'Condition', 'Cosmetic Grade', 'Cosmetic'],
+    serial: ['Serial Number', 'Serial', 'Serial No', 'S/N', 'SN', 'IMEI'],
+    // A bare "Price" column is usually the retail price - a supplier whose price is the cost maps it in a profile
+    cost: ['Cost', 'Unit Cost', 'Cost Price', 'Buy Price', 'Purchase Price'],
+    quantity: ['Quantity', 'Qty', 'Units', 'Stock'],
+    location: ['Location', 'Warehouse', 'Site', 'Store Location', 'Bin Location']
+  }
+};
+
+// Headers are compared without case, spaces or punctuation so "RAM (GB)" matches "ram gb"
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function candidatesFor(profile, field) {
+  const value = profile.columns?.[field];
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// RESOLVE MAPPING - Which actual header feeds each field for this set of headers
+function resolveMapping(headers, profile) {
+  const byNormalized = {};
+  headers.forEach(header => {
+    byNormalized[normalizeHeader(header)] = header;
+  });
+
+  const mapping = {};
+  FIELDS.forEach(field => {
+    const match = candidatesFor(profile, field).find(candidate => byNormalized[normalizeHeader(candidate)]);
+    if (match) {
+      mapping[field] = byNormalized[normalizeHeader(match)];
+    }
+  });
+
+  return mapping;
+}
+
+// SCORE PROFILE - Share of the profile's mapped fields that exist in the headers
+function scoreProfile(headers, profile) {
+  const mappedFields = FIELDS.filter(field => candidatesFor(profile, field).length > 0);
+  if (mappedFields.length === 0) return 0;
+
+  const resolved = resolveMapping(headers, profile);
+  return Object.keys(resolved).length / mappedFields.length;
+}
+
+// DETECT PROFILE - Rank saved profiles against the headers, falling back to the built-in one
+function detectProfile(headers, profiles, minimumScore = 0.6) {
+  const suggestions = profiles
+    .map(profile => ({ id: profile.id, name: profile.name, score: Math.round(scoreProfile(headers, profile) * 100) / 100 }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = suggestions.find(suggestion => suggestion.score >= minimumScore);
+  const profile = best ? profiles.find(p => p.id === best.id) : DEFAULT_PROFILE;
+
+  return { profile, suggestions };
+}
+
+// READ FIELDS - Pull every mapped field out of a row as a trimmed string
+function readFields(row, mapping) {
+  const fields = {};
+  FIELDS.forEach(field => {
+    const header = mapping[field];
+    const value = header !== undefined ? row[header] : undefined;
+    fields[field] = value === undefined || value === null ? '' : String(value).trim();
+  });
+  return fields;
+}
+
+// Profile ids are blob keys, so they are always lowercase letters, digits and dashes
+function profileSlug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// VALIDATE PROFILE - Clean up a profile submitted from the UI before it is stored
+function sanitizeProfile(input) {
+  if (!input || !input.name || !String(input.name).trim()) {
+    const error = new Error('Profile name is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const name = String(input.name).trim();
+  const columns = {};
+  FIELDS.forEach(field => {
+    const headers = candidatesFor(input, field).map(header => String(header).trim()).filter(Boolean);
+    if (headers.length > 0) {
+      columns[field] = headers.length === 1 ? headers[0] : headers;
+    }
+  });
+
+  if (Object.keys(columns).length === 0) {
+    const error = new Error('Map at least one column');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const id = profileSlug(input.id || name);
+  if (!id) {
+    const error = new Error('Profile name needs at least one letter or digit');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (id === DEFAULT_PROFILE.id) {
+    const error = new Error('The built-in profile cannot be overwritten');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    id,
+    name,
+    supplier: String(input.supplier || '').trim(),
+    columns,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_PROFILE,
+  resolveMapping,
+  detectProfile,
+  readFields,
+  sanitizeProfile
+};
@@ -0,0 +1,225 @@
+const { openStore, loadConfig } = require('./storage');
+
+const STORE_NAME = 'description-templates';
+
+// English is written to the product itself, every other locale is published as a Shopify translation
+const PRIMARY_LOCALE = 'en';
+const LOCALES = ['en', 'fr'];
+
+// Placeholders a template may use; {{#name}}...{{/name}} keeps a block only when the value is present
+const PLACEHOLDERS = [
+  'title', 'productType', 'processor', 'chip', 'storage', 'memory', 'displaySize', 'year', 'keyboard',
+  'units', 'grades', 'gradeList'
+];
+// Placeholders that expand to HTML rather than escaped text
+const HTML_PLACEHOLDERS = ['gradeList'];
+
+const SEO_DESCRIPTION_LIMIT = 320;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const DEFAULT_TEMPLATES = {
+  grades: {
+    en: {
+      A: 'Excellent - like new appearance, minimal wear, fully functional',
+      B: 'Very good - light cosmetic wear, excellent performance',
+      C: 'Good - visible wear but fully functional',
+      D: 'Fair - heavy wear but fully functional'
+    },
+    fr: {
+      A: 'Excellent - apparence comme neuve, usure minimale, entièrement fonctionnel',
+      B: 'Très bon - légères marques d\'usure, excellentes performances',
+      C: 'Bon - usure visible mais entièrement fonctionnel',
+      D: 'Passable - usure importante mais entièrement fonctionnel'
+    }
+  },
+  // Keyed by product type; "default" covers every type without its own template
+  types: {
+    default: {
+      en: {
+        body: [
+          '<div class="product-description">',
+          '<h3>Key Features</h3>',
+          '<ul>',
+          '<li><strong>Model:</strong> {{productType}}{{#displaySize}} {{displaySize}}{{/displaySize}}</li>',
+          '{{#processor}}<li><strong>Processor:</strong> {{processor}}</li>{{/processor}}',
+          '{{#storage}}<li><strong>Storage:</strong> {{storage}} SSD</li>{{/storage}}',
+          '{{#memory}}<li><strong>Memory:</strong> {{memory}} RAM</li>{{/memory}}',
+          '{{#year}}<li><strong>Year:</strong> {{year}}</li>{{/year}}',
+          '<li><strong>Available Units:</strong> {{units}}</li>',
+          '</ul>',
+          '<h3>Condition Grades</h3>',
+          '<ul>{{gradeList}}</ul>',
+          '</div>'
+        ].join('\n'),
+        seoDescription: '{{title}} - certified refurbished.{{#processor}} Powered by {{processor}}.{{/processor}}' +
+          '{{#storage}} {{storage}} storage.{{/storage}}{{#memory}} {{memory}} RAM.{{/memory}} Tested and guaranteed.'
+      },
+      fr: {
+        body: [
+          '<div class="product-description">',
+          '<h3>Caractéristiques principales</h3>',
+          '<ul>',
+          '<li><strong>Modèle :</strong> {{productType}}{{#displaySize}} {{displaySize}}{{/displaySize}}</li>',
+          '{{#processor}}<li><strong>Processeur :</strong> {{processor}}</li>{{/processor}}',
+          '{{#storage}}<li><strong>Stockage :</strong> SSD {{storage}}</li>{{/storage}}',
+          '{{#memory}}<li><strong>Mémoire :</strong> {{memory}} de RAM</li>{{/memory}}',
+          '{{#year}}<li><strong>Année :</strong> {{year}}</li>{{/year}}',
+          '<li><strong>Unités disponibles :</strong> {{units}}</li>',
+          '</ul>',
+          '<h3>États esthétiques</h3>',
+          '<ul>{{gradeList}}</ul>',
+          '</div>'
+        ].join('\n'),
+        seoDescription: '{{title}} - reconditionné certifié.{{#processor}} Processeur {{processor}}.{{/processor}}' +
+          '{{#storage}} Stockage {{storage}}.{{/storage}}{{#memory}} {{memory}} de RAM.{{/memory}} Testé et garanti.'
+      }
+    }
+  }
+};
+
+function invalid(message) {
+  const error = new Error(`Invalid description templates: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// MERGE TEMPLATES - Saved overrides on top of the defaults, per grade/type and locale
+function mergeTemplates(overrides) {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_TEMPLATES));
+  if (!overrides) return merged;
+
+  LOCALES.forEach(locale => {
+    merged.grades[locale] = { ...merged.grades[locale], ...overrides.grades?.[locale] };
+  });
+  Object.entries(overrides.types || {}).forEach(([type, locales]) => {
+    merged.types[type] = { ...merged.types[type], ...locales };
+  });
+  return merged;
+}
+
+function checkPlaceholders(template, where) {
+  const names = [...template.matchAll(/\{\{\s*[#/]?\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+  const unknown = names.filter(name => !PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw invalid(`${where} uses unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+  }
+}
+
+// SANITIZE TEMPLATES - Clean up templates submitted from the UI before they are stored
+function sanitizeTemplates(input) {
+  if (!input || typeof input !== 'object') throw invalid('expected an object');
+
+  const config = { grades: {}, types: {} };
+
+  Object.entries(input.grades || {}).forEach(([locale, grades]) => {
+    if (!LOCALES.includes(locale)) throw invalid(`unsupported locale ${locale}`);
+    if (!grades || typeof grades !== 'object') throw invalid(`grades.${locale} must map grades to text`);
+    config.grades[locale] = {};
+    Object.entries(grades).forEach(([grade, text]) => {
+      if (typeof text !== 'string') throw invalid(`grade ${grade} (${locale}) must be text`);
+      if (text.trim()) config.grades[locale][grade.trim().toUpperCase()] = text.trim();
+    });
+  });
+
+  Object.entries(input.types || {}).forEach(([type, locales]) => {
+    const name = type.trim();
+    if (!name) throw invalid('product type names cannot be blank');
+    config.types[name] = {};
+
+    Object.entries(locales || {}).forEach(([locale, template]) => {
+      if (!LOCALES.includes(locale)) throw invalid(`unsupported locale ${locale}`);
+      const { body, seoDescription } = template || {};
+      if (typeof body !== 'string' || typeof seoDescription !== 'string' || !body.trim()) {
+        throw invalid(`${name} (${locale}) needs a body and an SEO description`);
+      }
+      if (body.length > MAX_TEMPLATE_LENGTH) throw invalid(`${name} (${locale}) body is too long`);
+      checkPlaceholders(body, `${name} (${locale}) body`);
+      checkPlaceholders(seoDescription, `${name} (${locale}) SEO description`);
+      config.types[name][locale] = { body, seoDescription };
+    });
+  });
+
+  return config;
+}
+
+// RENDER TEMPLATE - Blocks first (they may contain placeholders), then the placeholders themselves
+function renderTemplate(template, values, { html = true } = {}) {
+  const withBlocks = template.replace(/\{\{\s*#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\1\s*\}\}/g,
+    (match, name, block) => (values[name] ? block : ''));
+
+  return withBlocks.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = values[name] ?? '';
+    return html && !HTML_PLACEHOLDERS.includes(name) ? escapeHtml(value) : String(value);
+  });
+}
+
+// Specs the sheet left as "Unknown" render as missing, so their blocks drop out
+function known(value) {
+  return value && value !== 'Unknown' ? value : '';
+}
+
+function templateValues(productGroup, units, config, locale) {
+  const variants = Object.values(productGroup.variants || {});
+  const grades = [...new Set(variants.map(variant => variant.condition))].filter(Boolean).sort();
+  const gradeText = config.grades[locale] || {};
+
+  return {
+    title: productGroup.seoTitle,
+    productType: productGroup.productType,
+    processor: known(productGroup.processor),
+    chip: known(productGroup.chip),
+    storage: known(productGroup.storage),
+    memory: known(productGroup.memory),
+    displaySize: known(productGroup.displaySize),
+    year: known(productGroup.year),
+    keyboard: known(productGroup.keyboard),
+    units,
+    grades: grades.join(', '),
+    gradeList: grades
+      .map(grade => `<li><strong>Grade ${escapeHtml(grade)}:</strong> ${escapeHtml(gradeText[grade] || '')}</li>`)
+      .join('')
+  };
+}
+
+// RENDER DESCRIPTION - { body, seoDescription } for one group in one locale; a product type
+// without its own template (or without this locale) falls back to the default template
+function renderDescription(productGroup, units, config = DEFAULT_TEMPLATES, locale = PRIMARY_LOCALE) {
+  const template = config.types[productGroup.productType]?.[locale] || config.types.default[locale];
+  const values = templateValues(productGroup, units, config, locale);
+  const seoDescription = renderTemplate(template.seoDescription, values, { html: false }).replace(/\s+/g, ' ').trim();
+
+  return {
+    body: renderTemplate(template.body, values),
+    seoDescription: seoDescription.substring(0, SEO_DESCRIPTION_LIMIT)
+  };
+}
+
+// LOAD DESCRIPTION TEMPLATES - The Shopify store's own templates, the shared ones, or the
+// defaults when the blob store is unavailable
+async function loadDescriptionTemplates(event, storeId = null) {
+  try {
+    const { overrides } = await loadConfig(openStore(STORE_NAME, event), storeId);
+    return mergeTemplates(overrides);
+  } catch (error) {
+    console.log(`Could not load description templates, using defaults: ${error.message}`);
+    return mergeTemplates(null);
+  }
+}
+
+module.exports = {
+  STORE_NAME,
+  PRIMARY_LOCALE,
+  LOCALES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  mergeTemplates,
+  sanitizeTemplates,
+  renderDescription,
+  loadDescriptionTemplates
+};
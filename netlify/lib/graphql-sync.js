@@ -0,0 +1,410 @@
+const fetch = require('node-fetch');
+const { IDENTITY_NAMESPACE, IDENTITY_KEY } = require('./product-identity');
+
+// productSet and the inventory quantity mutations need 2024-07 or newer
+const DEFAULT_GRAPHQL_API_VERSION = '2024-07';
+
+const BULK_POLL_MS = 1000;
+// Default wait for a bulk query - background workers can afford it, normal functions pass a shorter one
+const BULK_TIMEOUT_MS = 5 * 60 * 1000;
+const BULK_OPERATION_ID = /^gid:\/\/shopify\/BulkOperation\/\d+$/;
+
+const OPTION_NAMES = ['Color', 'Condition'];
+
+function toGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function userErrorsMessage(userErrors) {
+  return userErrors.map(error => `${(error.field || []).join('.')} ${error.message}`.trim()).join('; ');
+}
+
+async function pollBulkOperation(shopify, id) {
+  const polled = await shopify.graphql(`query ($id: ID!) {
+    node(id: $id) { ... on BulkOperation { id status errorCode objectCount url } }
+  }`, { id });
+  if (!polled.node?.status) {
+    const error = new Error(`Bulk query ${id} not found`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return polled.node;
+}
+
+// Thrown when a bulk query outlives the caller's wait; passing bulkOperationId back as
+// operationId picks the same query up again instead of starting another
+function bulkQueryPending(id) {
+  const error = new Error(`Bulk query ${id} is still running`);
+  error.statusCode = 202;
+  error.bulkOperationId = id;
+  return error;
+}
+
+// RUN BULK QUERY - Start a bulk operation (or pick up operationId), wait up to waitMs for it
+// and return the parsed JSONL rows
+async function runBulkQuery(shopify, query, { operationId = null, waitMs = BULK_TIMEOUT_MS } = {}) {
+  let operation;
+  if (operationId) {
+    if (!BULK_OPERATION_ID.test(operationId)) {
+      const error = new Error('bulkOperationId must look like gid://shopify/BulkOperation/123');
+      error.statusCode = 400;
+      throw error;
+    }
+    operation = await pollBulkOperation(shopify, operationId);
+  } else {
+    const started = await shopify.graphql(`mutation ($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }`, { query });
+
+    const { bulkOperation, userErrors } = started.bulkOperationRunQuery;
+    if (userErrors.length > 0) {
+      throw new Error(`Bulk query rejected: ${userErrorsMessage(userErrors)}`);
+    }
+    operation = bulkOperation;
+  }
+
+  const deadline = Date.now() + waitMs;
+  while (!['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+    if (Date.now() + BULK_POLL_MS > deadline) {
+      throw bulkQueryPending(operation.id);
+    }
+    await sleep(BULK_POLL_MS);
+    operation = await pollBulkOperation(shopify, operation.id);
+  }
+
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Bulk query ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+  }
+
+  // No url means the query matched nothing
+  if (!operation.url) return [];
+
+  const response = await fetch(operation.url);
+  if (!response.ok) {
+    throw new Error(`Could not download bulk query results: ${response.status}`);
+  }
+  const text = await response.text();
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Variant in the shape the REST helpers use, plus GraphQL ids
+function toRestVariant(node) {
+  const option = name => (node.selectedOptions || []).find(selected => selected.name === name)?.value;
+
+  return {
+    id: Number(node.legacyResourceId),
+    gid: node.id,
+    sku: node.sku,
+    price: node.price,
+    compare_at_price: node.compareAtPrice || null,
+    inventory_quantity: node.inventoryQuantity,
+    option1: option(OPTION_NAMES[0]) ?? node.selectedOptions?.[0]?.value,
+    option2: option(OPTION_NAMES[1]) ?? node.selectedOptions?.[1]?.value,
+    selectedOptions: node.selectedOptions || [],
+    inventory_item_id: node.inventoryItem ? Number(node.inventoryItem.legacyResourceId) : null,
+    inventory_item_gid: node.inventoryItem?.id || null
+  };
+}
+
+// SNAPSHOT CATALOG - Every product, variant, collection membership and identity in one bulk query.
+// Products come back in the REST shape so matching, planning and reconciliation work unchanged.
+// Bulk queries only nest connections two deep, so stock levels (variants > inventory item > levels)
+// are not in it - they are read in pages for the matched variants only.
+// bulkOptions ({ operationId, waitMs }) go to runBulkQuery.
+async function snapshotCatalog(shopify, bulkOptions = {}) {
+  const rows = await runBulkQuery(shopify, `{
+    products {
+      edges { node {
+        id legacyResourceId title handle status tags descriptionHtml
+        metafield(namespace: "${IDENTITY_NAMESPACE}", key: "${IDENTITY_KEY}") { value }
+        collections { edges { node { id } } }
+        variants { edges { node {
+          id legacyResourceId sku price compareAtPrice inventoryQuantity
+          selectedOptions { name value }
+          inventoryItem { id legacyResourceId }
+        } } }
+      } }
+    }
+  }`, bulkOptions);
+
+  const byGid = {};
+  const products = [];
+  const identities = {};
+
+  rows.forEach(row => {
+    if (!row.__parentId) {
+      const product = {
+        id: Number(row.legacyResourceId),
+        gid: row.id,
+        title: row.title,
+        handle: row.handle,
+        status: String(row.status || '').toLowerCase(),
+        tags: (row.tags || []).join(', '),
+        body_html: row.descriptionHtml,
+        collectionGids: [],
+        variants: []
+      };
+      if (row.metafield?.value) identities[product.id] = row.metafield.value;
+      byGid[row.id] = product;
+      products.push(product);
+      return;
+    }
+
+    const parent = byGid[row.__parentId];
+    if (!parent) return;
+    if (row.id.includes('/Collection/')) {
+      parent.collectionGids.push(row.id);
+    } else {
+      parent.variants.push(toRestVariant(row));
+    }
+  });
+
+  console.log(`Bulk snapshot: ${products.length} products, ${Object.keys(identities).length} with a sync identity`);
+  return { products, identities };
+}
+
+// VARIANT INPUT - REST-style variant from the shared builders to a ProductVariantSetInput
+function toVariantInput(variant, existingVariant) {
+  return {
+    ...(existingVariant ? { id: existingVariant.gid } : {}),
+    optionValues: [
+      { optionName: OPTION_NAMES[0], name: variant.option1 },
+      { optionName: OPTION_NAMES[1], name: variant.option2 }
+    ],
+    price: String(variant.price),
+    compareAtPrice: variant.compare_at_price ? String(variant.compare_at_price) : null,
+    inventoryPolicy: 'DENY',
+    taxable: variant.taxable !== false,
+    inventoryItem: {
+      sku: variant.sku,
+      tracked: true,
+      requiresShipping: variant.requires_shipping !== false,
+      measurement: { weight: { value: variant.weight, unit: 'KILOGRAMS' } }
+    }
+  };
+}
+
+// BUILD PRODUCT SET INPUT - productSet replaces the variant list, so variants the sheet
+// no longer has are passed back unchanged (reconciliation decides what happens to them)
+function buildProductSetInput(content, existingProduct, collectionGids) {
+  const existingVariants = existingProduct?.variants || [];
+  const sameOptions = (a, b) => a.option1 === b.option1 && a.option2 === b.option2;
+
+  const variants = content.variants.map(variant =>
+    toVariantInput(variant, existingVariants.find(existing => sameOptions(existing, variant)))
+  );
+  existingVariants
+    .filter(existing => !content.variants.some(variant => sameOptions(existing, variant)))
+    .forEach(existing => {
+      variants.push({
+        id: existing.gid,
+        optionValues: existing.selectedOptions.map(selected => ({ optionName: selected.name, name: selected.value }))
+      });
+    });
+
+  const productOptions = OPTION_NAMES.map(name => ({
+    name,
+    values: [...new Set(variants.flatMap(variant =>
+      variant.optionValues.filter(value => value.optionName === name).map(value => value.name)
+    ))].map(value => ({ name: value }))
+  }));
+
+  return {
+    ...(existingProduct ? { id: existingProduct.gid } : { status: 'ACTIVE', handle: content.handle }),
+    title: content.title,
+    descriptionHtml: content.descriptionHtml,
+    vendor: content.vendor,
+    productType: content.productType,
+    tags: content.tags,
+    seo: { title: content.title, description: content.seoDescription },
+    metafields: content.metafields,
+    // The full membership list - the caller keeps collections the product was added to by hand
+    collections: collectionGids,
+    productOptions,
+    variants
+  };
+}
+
+// Variants per page of a productSet answer
+const VARIANT_PAGE_SIZE = 100;
+
+const VARIANT_PAGE = `variants(first: ${VARIANT_PAGE_SIZE}, after: $after) {
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    id legacyResourceId sku price compareAtPrice inventoryQuantity
+    selectedOptions { name value }
+    inventoryItem { id legacyResourceId }
+  }
+}`;
+
+// PRODUCT SET - Create or update one product with all its variants in a single call; variants
+// beyond the first page of the answer are read page by page so none are left out
+async function productSet(shopify, input) {
+  const data = await shopify.graphql(`mutation ($input: ProductSetInput!, $after: String) {
+    productSet(synchronous: true, input: $input) {
+      product { id legacyResourceId title ${VARIANT_PAGE} }
+      userErrors { field message code }
+    }
+  }`, { input, after: null });
+
+  const { product, userErrors } = data.productSet;
+  if (userErrors.length > 0) {
+    throw new Error(`productSet failed: ${userErrorsMessage(userErrors)}`);
+  }
+
+  const nodes = [...product.variants.nodes];
+  let pageInfo = product.variants.pageInfo;
+  while (pageInfo.hasNextPage) {
+    const page = await shopify.graphql(`query ($id: ID!, $after: String) {
+      product(id: $id) { ${VARIANT_PAGE} }
+    }`, { id: product.id, after: pageInfo.endCursor });
+    nodes.push(...page.product.variants.nodes);
+    pageInfo = page.product.variants.pageInfo;
+  }
+
+  return {
+    id: Number(product.legacyResourceId),
+    gid: product.id,
+    title: product.title,
+    variants: nodes.map(toRestVariant)
+  };
+}
+
+// GET SHOP LOCALES - The store's languages, e.g. [{ locale: 'fr', primary: false, published: true }]
+async function getShopLocales(shopify) {
+  const data = await shopify.graphql(`{ shopLocales { locale primary published } }`);
+  return data.shopLocales;
+}
+
+// REGISTER PRODUCT TRANSLATIONS - Translated values keyed like Shopify's translatable content
+// (body_html, meta_description...). Each one is tied to the digest of the current original, so
+// this must run after the product itself is written.
+async function registerProductTranslations(shopify, productId, locale, fields) {
+  const resourceId = toGid('Product', productId);
+  const resource = await shopify.graphql(`query ($id: ID!) {
+    translatableResource(resourceId: $id) { translatableContent { key digest } }
+  }`, { id: resourceId });
+  const digests = Object.fromEntries((resource.translatableResource?.translatableContent || [])
+    .map(content => [content.key, content.digest]));
+
+  const translations = Object.entries(fields)
+    .filter(([key, value]) => value && digests[key])
+    .map(([key, value]) => ({ locale, key, value, translatableContentDigest: digests[key] }));
+  if (translations.length === 0) return 0;
+
+  const data = await shopify.graphql(`mutation ($id: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $id, translations: $translations) {
+      userErrors { field message }
+    }
+  }`, { id: resourceId, translations });
+  const { userErrors } = data.translationsRegister;
+  if (userErrors.length > 0) {
+    throw new Error(`translationsRegister failed: ${userErrorsMessage(userErrors)}`);
+  }
+  return translations.length;
+}
+
+// GET LOCATION LEVELS - Available stock keyed by "inventoryItemId:locationId" like the REST
+// helper, read at each location asked for; items not stocked at a location are left out
+async function getLocationLevels(shopify, inventoryItemIds, locationIds) {
+  const levels = {};
+
+  for (const locationId of locationIds) {
+    for (let i = 0; i < inventoryItemIds.length; i += 50) {
+      const data = await shopify.graphql(`query ($ids: [ID!]!, $locationId: ID!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            legacyResourceId
+            inventoryLevel(locationId: $locationId) { quantities(names: ["available"]) { quantity } }
+          }
+        }
+      }`, {
+        ids: inventoryItemIds.slice(i, i + 50).map(id => toGid('InventoryItem', id)),
+        locationId: toGid('Location', locationId)
+      });
+
+      data.nodes.forEach(node => {
+        if (node?.inventoryLevel) {
+          levels[`${node.legacyResourceId}:${locationId}`] = node.inventoryLevel.quantities?.[0]?.quantity ?? null;
+        }
+      });
+    }
+  }
+
+  return levels;
+}
+
+// APPLY INVENTORY CHANGES - Batched set/adjust of available stock; items not stocked at a
+// location are activated there first. Returns the quantity after each change, in order.
+async function applyInventoryChanges(shopify, changes, mode) {
+  const after = changes.map(change => change.before);
+
+  const unstocked = changes.filter(change => change.before === null || change.before === undefined);
+  for (const change of unstocked) {
+    const data = await shopify.graphql(`mutation ($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+      inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+        inventoryLevel { id }
+        userErrors { field message }
+      }
+    }`, {
+      inventoryItemId: toGid('InventoryItem', change.inventoryItemId),
+      locationId: toGid('Location', change.locationId),
+      available: change.quantity
+    });
+    if (data.inventoryActivate.userErrors.length > 0) {
+      throw new Error(`inventoryActivate failed: ${userErrorsMessage(data.inventoryActivate.userErrors)}`);
+    }
+    after[changes.indexOf(change)] = change.quantity;
+  }
+
+  const stocked = changes.filter(change => !unstocked.includes(change) &&
+    (mode === 'adjust' ? change.quantity !== 0 : change.quantity !== change.before));
+  if (stocked.length === 0) return after;
+
+  const mutation = mode === 'adjust'
+    ? `mutation ($input: InventoryAdjustQuantitiesInput!) {
+        inventoryAdjustQuantities(input: $input) { userErrors { field message } }
+      }`
+    : `mutation ($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) { userErrors { field message } }
+      }`;
+  const quantities = stocked.map(change => ({
+    inventoryItemId: toGid('InventoryItem', change.inventoryItemId),
+    locationId: toGid('Location', change.locationId),
+    ...(mode === 'adjust' ? { delta: change.quantity } : { quantity: change.quantity })
+  }));
+  const input = mode === 'adjust'
+    ? { name: 'available', reason: 'correction', changes: quantities }
+    : { name: 'available', reason: 'correction', ignoreCompareQuantity: true, quantities };
+
+  const data = await shopify.graphql(mutation, { input });
+  const { userErrors } = data[mode === 'adjust' ? 'inventoryAdjustQuantities' : 'inventorySetQuantities'];
+  if (userErrors.length > 0) {
+    throw new Error(`Inventory update failed: ${userErrorsMessage(userErrors)}`);
+  }
+
+  stocked.forEach(change => {
+    after[changes.indexOf(change)] = mode === 'adjust' ? change.before + change.quantity : change.quantity;
+  });
+  return after;
+}
+
+module.exports = {
+  DEFAULT_GRAPHQL_API_VERSION,
+  toGid,
+  runBulkQuery,
+  snapshotCatalog,
+  buildProductSetInput,
+  productSet,
+  getLocationLevels,
+  applyInventoryChanges,
+  getShopLocales,
+  registerProductTranslations
+};
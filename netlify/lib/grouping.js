@@ -0,0 +1,116 @@
+// Row attributes a listing can be grouped on, in the order they appear in keys and titles
+const GROUPING_DIMENSIONS = {
+  type: 'Product type',
+  size: 'Screen size',
+  year: 'Year',
+  chip: 'Chip / processor',
+  memory: 'Memory',
+  storage: 'Storage',
+  keyboard: 'Keyboard layout'
+};
+
+const DEFAULT_GROUPING = ['type', 'size', 'year', 'chip', 'memory', 'storage'];
+
+const UNKNOWN_VALUES = ['', 'unknown', undefined, null];
+
+function isKnown(value) {
+  return !UNKNOWN_VALUES.includes(typeof value === 'string' ? value.toLowerCase() : value);
+}
+
+// RESOLVE DIMENSIONS - Validated dimension list, product type is always part of the key
+function resolveDimensions(requested) {
+  const list = Array.isArray(requested)
+    ? requested
+    : String(requested || '').split(',').map(d => d.trim()).filter(Boolean);
+  if (list.length === 0) return DEFAULT_GROUPING;
+
+  const unknown = list.filter(dimension => !GROUPING_DIMENSIONS[dimension]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown grouping dimension(s): ${unknown.join(', ')}. Use: ${Object.keys(GROUPING_DIMENSIONS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return Object.keys(GROUPING_DIMENSIONS).filter(dimension => dimension === 'type' || list.includes(dimension));
+}
+
+// BUILD GROUP KEY - e.g. MacBookAir_13inch_2020_M1_8GB_256GB
+function buildGroupKey(attributes, dimensions) {
+  return dimensions
+    .map(dimension => (isKnown(attributes[dimension]) ? String(attributes[dimension]) : 'Unknown').replace(/[^a-zA-Z0-9]/g, ''))
+    .join('_');
+}
+
+// ALTERNATE GROUP KEYS - The keys the same attributes get under every choice of dimensions,
+// so listings synced before the grouping changed can still be found
+function alternateGroupKeys(attributes) {
+  const optional = Object.keys(GROUPING_DIMENSIONS).filter(dimension => dimension !== 'type');
+  const keys = new Set();
+
+  for (let mask = 0; mask < 2 ** optional.length; mask++) {
+    const chosen = optional.filter((dimension, index) => mask & (1 << index));
+    keys.add(buildGroupKey(attributes, ['type', ...chosen]));
+  }
+  return [...keys];
+}
+
+// BUILD GROUP TITLE - Only grouped dimensions go in the title, other attributes can vary inside the listing
+function buildGroupTitle(attributes, dimensions) {
+  const has = dimension => dimensions.includes(dimension) && isKnown(attributes[dimension]);
+
+  let name = attributes.type;
+  if (has('size')) name += ` ${attributes.size}`;
+  if (has('year')) name += ` (${attributes.year})`;
+
+  const config = ['chip', 'memory', 'storage', 'keyboard']
+    .filter(has)
+    .map(dimension => (dimension === 'memory' ? `${attributes.memory} RAM` : attributes[dimension]));
+
+  return `${name}${config.length > 0 ? ` - ${config.join(', ')}` : ''} | Certified Refurbished`;
+}
+
+// GROUPING REPORT - Which rows landed in each group, on what shared values, and what still varies
+function buildGroupingReport(groups, dimensions) {
+  const ungrouped = Object.keys(GROUPING_DIMENSIONS).filter(dimension => !dimensions.includes(dimension));
+
+  const report = Object.entries(groups).map(([key, group]) => {
+    const first = group.items[0]?.attributes || {};
+    const matchedOn = {};
+    dimensions.forEach(dimension => {
+      matchedOn[dimension] = isKnown(first[dimension]) ? first[dimension] : 'Unknown';
+    });
+
+    // Attributes left out of the key that differ between rows mean the listing mixes configurations
+    const mixed = {};
+    ungrouped.forEach(dimension => {
+      const values = [...new Set(group.items.map(item => item.attributes?.[dimension]).filter(isKnown))];
+      if (values.length > 1) mixed[dimension] = values;
+    });
+
+    return {
+      key,
+      title: group.seoTitle,
+      rowCount: group.items.length,
+      rows: group.items.map(item => `${item.sheet}!${item.row}`),
+      matchedOn,
+      mixed
+    };
+  });
+
+  return {
+    dimensions,
+    groups: report,
+    mergedGroups: report.filter(entry => entry.rowCount > 1).length,
+    mixedGroups: report.filter(entry => Object.keys(entry.mixed).length > 0).length
+  };
+}
+
+module.exports = {
+  GROUPING_DIMENSIONS,
+  DEFAULT_GROUPING,
+  resolveDimensions,
+  buildGroupKey,
+  alternateGroupKeys,
+  buildGroupTitle,
+  buildGroupingReport
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { openStore, listJSON } = require('./storage');
+const { normalizeColor } = require('./variant-attributes');
+
+const STORE_NAME = 'image-library';
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+// Function request bodies are capped at 6MB and the image arrives base64 encoded
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Fields an image can be narrowed by besides its product type; more filled in = more specific
+const MATCH_FIELDS = ['displaySize', 'chip', 'year'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function normalizeText(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// 13.3", 13.6-inch and 13 are all the 13-inch model
+function normalizeSize(value) {
+  const size = parseFloat(String(value || '').replace(',', '.'));
+  return Number.isFinite(size) ? String(Math.floor(size)) : '';
+}
+
+function normalizeYear(value) {
+  return String(value || '').match(/\d{4}/)?.[0] || '';
+}
+
+// IMAGE KEY - The normalized form both library entries and product groups are compared in
+function imageKey({ productType, displaySize, chip, year, color }) {
+  return {
+    productType: normalizeText(productType),
+    displaySize: normalizeSize(displaySize),
+    chip: normalizeText(chip),
+    year: normalizeYear(year),
+    color: String(color || '').trim() ? normalizeColor(color).color : ''
+  };
+}
+
+// DESCRIBE IMAGE - "MacBook Air 13" M2 2022 Midnight", for lists and alt text
+function describeImage(entry) {
+  return [
+    entry.productType,
+    entry.displaySize ? `${entry.displaySize}"` : '',
+    entry.chip,
+    entry.year,
+    entry.color
+  ].filter(Boolean).join(' ');
+}
+
+// Shopify keeps the uploaded file name in the image URL, which is how an attached image is recognized
+function libraryFileName(entry) {
+  return `img-${entry.id}.${IMAGE_TYPES[entry.contentType]}`;
+}
+
+function isAttached(image, entry) {
+  return String(image.src || '').includes(`img-${entry.id}`);
+}
+
+// SAVE IMAGE - Metadata and the base64 data are stored as separate blobs so listing stays cheap
+async function saveImage(event, input) {
+  const { productType, displaySize, chip, year, color, fileName, contentType, data } = input || {};
+  if (!String(productType || '').trim()) {
+    throw badRequest('A product type is required');
+  }
+  if (!IMAGE_TYPES[contentType]) {
+    throw badRequest(`Images must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+  }
+  if (!data || Buffer.byteLength(data, 'base64') > MAX_IMAGE_BYTES) {
+    throw badRequest(`An image of at most ${MAX_IMAGE_BYTES / 1024 / 1024}MB is required`);
+  }
+
+  const key = imageKey({ productType, displaySize, chip, year, color });
+  const entry = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    productType: String(productType).trim(),
+    displaySize: key.displaySize,
+    chip: String(chip || '').trim(),
+    year: key.year,
+    color: key.color,
+    fileName: fileName ? String(fileName) : null,
+    contentType,
+    createdAt: new Date().toISOString()
+  };
+
+  const store = openStore(STORE_NAME, event);
+  await store.set(`data/${entry.id}`, data);
+  await store.setJSON(`entry/${entry.id}`, entry);
+  return entry;
+}
+
+async function listImages(event) {
+  const entries = await listJSON(openStore(STORE_NAME, event), 'entry/');
+  return entries.sort((a, b) => describeImage(a).localeCompare(describeImage(b)) || a.createdAt.localeCompare(b.createdAt));
+}
+
+// GET IMAGE - { image, data } for one library entry, or null
+async function getImage(event, id) {
+  const store = openStore(STORE_NAME, event);
+  const image = await store.get(`entry/${id}`, { type: 'json' });
+  return image ? { image, data: await store.get(`data/${id}`) } : null;
+}
+
+async function deleteImage(event, id) {
+  const store = openStore(STORE_NAME, event);
+  await store.delete(`entry/${id}`);
+  await store.delete(`data/${id}`);
+}
+
+// LOAD IMAGE LIBRARY - Entries for a sync run; image data is read only when an upload is needed
+async function loadImageLibrary(event) {
+  try {
+    const store = openStore(STORE_NAME, event);
+    return { entries: await listJSON(store, 'entry/'), store };
+  } catch (error) {
+    console.log(`Image library unavailable, syncing without images: ${error.message}`);
+    return { entries: [], store: null };
+  }
+}
+
+async function readImageData(library, id) {
+  return library.store ? library.store.get(`data/${id}`) : null;
+}
+
+// MATCH IMAGES - [{ entry, color }] for a group: the most specific match without a color (product
+// images) and the most specific match for each of the group's colors (variant images). Several
+// entries at the same specificity are all used, oldest first.
+function matchImages(productGroup, entries) {
+  const group = imageKey({
+    productType: productGroup.productType,
+    displaySize: productGroup.displaySize,
+    chip: productGroup.chip || productGroup.processor,
+    year: productGroup.year
+  });
+  const candidates = entries.filter(entry => {
+    const key = imageKey(entry);
+    return key.productType === group.productType &&
+      MATCH_FIELDS.every(field => !key[field] || key[field] === group[field]);
+  });
+  const specificity = entry => MATCH_FIELDS.filter(field => imageKey(entry)[field]).length;
+
+  const colors = [...new Set(Object.values(productGroup.variants || {}).map(variant => variant.color))];
+  return ['', ...colors].flatMap(color => {
+    const slot = candidates.filter(entry => entry.color === color);
+    const best = Math.max(...slot.map(specificity));
+    return slot
+      .filter(entry => specificity(entry) === best)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(entry => ({ entry, color }));
+  });
+}
+
+// IMAGE ALT TEXT - The listing's specs plus the color the image shows
+function imageAltText(productGroup, color) {
+  return [productGroup.seoTitle, color].filter(Boolean).join(' - ');
+}
+
+module.exports = {
+  STORE_NAME,
+  IMAGE_TYPES,
+  describeImage,
+  libraryFileName,
+  isAttached,
+  saveImage,
+  listImages,
+  getImage,
+  deleteImage,
+  loadImageLibrary,
+  readImageData,
+  matchImages,
+  imageAltText
+};
@@ -0,0 +1,414 @@
+const { openStore } = require('./storage');
+
+// Default pricing configuration - stored overrides are merged on top of this, key by key
+const DEFAULT_PRICING = {
+  defaultPrice: 999,
+  minPrice: 149,
+  maxPrice: 9999,
+  rounding: 'x99',
+
+  // Most specific matching rule wins; price is for the base storage/memory before adjustments
+  rules: [
+    { productType: 'MacBook Air', price: 699 },
+    { productType: 'MacBook Air', chip: 'M1', price: 749 },
+    { productType: 'MacBook Air', chip: 'M2', price: 999 },
+    { productType: 'MacBook Air', chip: 'M3', price: 1199 },
+    { productType: 'MacBook Pro', price: 799 },
+    { productType: 'MacBook Pro', chip: 'Intel Core i5', price: 599 },
+    { productType: 'MacBook Pro', chip: 'Intel Core i7', price: 699 },
+    { productType: 'MacBook Pro', chip: 'Intel Core i9', price: 849 },
+    { productType: 'MacBook Pro', chip: 'M1', price: 999 },
+    { productType: 'MacBook Pro', chip: 'M1 Pro', price: 1599 },
+    { productType: 'MacBook Pro', chip: 'M1 Max', price: 1999 },
+    { productType: 'MacBook Pro', chip: 'M2', price: 1199 },
+    { productType: 'MacBook Pro', chip: 'M2 Pro', price: 1799 },
+    { productType: 'MacBook Pro', chip: 'M2 Max', price: 2299 },
+    { productType: 'MacBook Pro', chip: 'M3', price: 1499 },
+    { productType: 'MacBook Pro', chip: 'M3 Pro', price: 2099 },
+    { productType: 'MacBook Pro', chip: 'M3 Max', price: 2799 },
+    { productType: 'iMac', price: 999 },
+    { productType: 'iPad', price: 349 },
+    { productType: 'iPad Pro', price: 799 },
+    { productType: 'iPhone', price: 599 }
+  ],
+
+  storageAdjustments: {
+    '32GB': -150,
+    '64GB': -100,
+    '128GB': -50,
+    '256GB': 0,
+    '512GB': 150,
+    '1TB': 350,
+    '2TB': 700,
+    '4TB': 1200,
+    '8TB': 2200
+  },
+
+  memoryAdjustments: {
+    '8GB': 0,
+    '16GB': 150,
+    '18GB': 150,
+    '24GB': 250,
+    '32GB': 400,
+    '36GB': 450,
+    '48GB': 600,
+    '64GB': 800,
+    '96GB': 1000,
+    '128GB': 1300
+  },
+
+  // Used instead of the rules table when the sheet has a Cost column
+  costPlus: {
+    enabled: true,
+    margin: 0.3,
+    minimumProfit: 75
+  },
+
+  gradeMultipliers: {
+    A: 1.0,  // Excellent
+    B: 0.92, // Very Good
+    C: 0.82, // Good
+    D: 0.70, // Fair
+    P: 0.60  // Poor
+  },
+  fallbackGradeMultiplier: 0.85,
+
+  // Compare-at price as a multiple of the grade A base price, per grade (grades not listed get none)
+  compareAt: {
+    A: 1.15,
+    B: 1.08
+  }
+};
+
+const RULE_KEYS = ['productType', 'chip', 'storage', 'memory', 'year'];
+const ROUNDING_MODES = ['x99', 'x9', 'none'];
+
+// A Shopify store without its own pricing sells at the processed prices, cents and all
+const DEFAULT_STORE_PRICING = {
+  priceMultiplier: 1,
+  rounding: null,
+  currency: null
+};
+
+function normalizeValue(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, '');
+}
+
+// MERGE PRICING CONFIG - Stored settings override the defaults one top-level key at a time
+function mergePricingConfig(overrides) {
+  const config = { ...DEFAULT_PRICING };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      config[key] = value;
+    }
+  });
+  return config;
+}
+
+function invalid(message) {
+  const error = new Error(`Invalid pricing config: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function isNumberMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry => typeof entry === 'number' && Number.isFinite(entry));
+}
+
+// SANITIZE PRICING CONFIG - Keep only known keys and reject values the engine cannot use
+function sanitizePricingConfig(input) {
+  if (!input || typeof input !== 'object') throw invalid('expected an object');
+
+  const config = {};
+  ['defaultPrice', 'minPrice', 'maxPrice', 'fallbackGradeMultiplier'].forEach(key => {
+    if (input[key] === undefined || input[key] === null || input[key] === '') return;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0) throw invalid(`${key} must be a positive number`);
+    config[key] = value;
+  });
+
+  if (config.minPrice !== undefined && config.maxPrice !== undefined && config.minPrice > config.maxPrice) {
+    throw invalid('minPrice is above maxPrice');
+  }
+
+  if (input.rounding !== undefined) {
+    if (!ROUNDING_MODES.includes(input.rounding)) throw invalid('rounding must be x99, x9 or none');
+    config.rounding = input.rounding;
+  }
+
+  if (input.rules !== undefined) {
+    if (!Array.isArray(input.rules)) throw invalid('rules must be a list');
+    input.rules.forEach((rule, index) => {
+      if (!rule || typeof rule.price !== 'number') throw invalid(`rule ${index + 1} needs a numeric price`);
+    });
+    config.rules = input.rules;
+  }
+
+  ['storageAdjustments', 'memoryAdjustments', 'gradeMultipliers', 'compareAt'].forEach(key => {
+    if (input[key] === undefined) return;
+    if (!isNumberMap(input[key])) throw invalid(`${key} must map names to numbers`);
+    config[key] = input[key];
+  });
+
+  if (input.costPlus !== undefined) {
+    const { enabled, margin, minimumProfit } = input.costPlus || {};
+    if (!Number.isFinite(Number(margin)) || !Number.isFinite(Number(minimumProfit))) {
+      throw invalid('costPlus needs a numeric margin and minimumProfit');
+    }
+    config.costPlus = { enabled: Boolean(enabled), margin: Number(margin), minimumProfit: Number(minimumProfit) };
+  }
+
+  return config;
+}
+
+// SANITIZE STORE PRICING - How one Shopify store's prices follow from the processed prices.
+// currency is the store currency the multiplier was set for, checked against the shop on sync.
+function sanitizeStorePricing(input) {
+  if (!input || typeof input !== 'object') throw invalid('expected an object');
+
+  const priceMultiplier = Number(input.priceMultiplier ?? 1);
+  if (!Number.isFinite(priceMultiplier) || priceMultiplier <= 0) throw invalid('priceMultiplier must be a positive number');
+
+  const rounding = input.rounding || null;
+  if (rounding !== null && !ROUNDING_MODES.includes(rounding)) throw invalid('rounding must be x99, x9 or none');
+
+  const currency = input.currency ? String(input.currency).trim().toUpperCase() : null;
+  if (currency !== null && !/^[A-Z]{3}$/.test(currency)) throw invalid('currency must be a three-letter code like USD');
+
+  return { priceMultiplier, rounding, currency };
+}
+
+// PARSE MONEY - "$1,234.50" or "1234.5" to a number, null when it is not a price (negative amounts included)
+function parseMoney(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+  const amount = Number(String(raw).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// Distance between rounded prices: x99 prices are 100 apart, x9 prices 10
+const ROUNDING_STEPS = { x99: 100, x9: 10 };
+
+// ROUND PRICE - x99 gives 1199/1299, x9 gives 1229/1239; nearest by default, or the next one
+// at or above the price with roundUp
+function roundPrice(price, rounding, roundUp = false) {
+  const round = roundUp ? Math.ceil : Math.round;
+  if (rounding === 'x99') return Math.max(99, round((price + 1) / 100) * 100 - 1);
+  if (rounding === 'x9') return Math.max(9, round((price + 1) / 10) * 10 - 1);
+  return round(price);
+}
+
+function clampPrice(price, config, rule) {
+  const min = rule?.minPrice ?? config.minPrice;
+  const max = rule?.maxPrice ?? config.maxPrice;
+  if (min !== undefined && min !== null) price = Math.max(price, min);
+  if (max !== undefined && max !== null) price = Math.min(price, max);
+  return price;
+}
+
+// FINAL PRICE - Round, then keep the rounded price within the limits: below the minimum it moves
+// up to the next rounded price (minPrice 1000 with x99 gives 1099, not 999), above the maximum
+// down to the one before. When no rounded price fits between the two, the limit wins.
+// With a floor the price only rounds up, and no limit takes it below the floor.
+function finalPrice(price, config, rule, floor = null) {
+  const min = rule?.minPrice ?? config.minPrice;
+  const max = rule?.maxPrice ?? config.maxPrice;
+  const step = ROUNDING_STEPS[config.rounding];
+  let rounded = roundPrice(price, config.rounding, floor !== null);
+
+  if (min !== undefined && min !== null && rounded < min) {
+    rounded = step ? Math.ceil((min + 1) / step) * step - 1 : Math.ceil(min);
+  }
+  if (max !== undefined && max !== null && rounded > max) {
+    rounded = step ? Math.floor((max + 1) / step) * step - 1 : Math.floor(max);
+  }
+  const limited = clampPrice(rounded, config, rule);
+  return floor !== null && limited < floor ? roundPrice(floor, config.rounding, true) : limited;
+}
+
+function ruleMatches(rule, productGroup) {
+  return RULE_KEYS.every(key => {
+    if (rule[key] === undefined) return true;
+    return normalizeValue(rule[key]) === normalizeValue(productGroup[key] ?? (key === 'chip' ? productGroup.processor : ''));
+  }) &&
+    (rule.minYear === undefined || Number(productGroup.year) >= rule.minYear) &&
+    (rule.maxYear === undefined || Number(productGroup.year) <= rule.maxYear);
+}
+
+function specificity(rule) {
+  return RULE_KEYS.filter(key => rule[key] !== undefined).length +
+    (rule.minYear !== undefined || rule.maxYear !== undefined ? 0.5 : 0);
+}
+
+// FIND RULE - Most specific rule matching the group's type/chip/storage/memory/year
+function findRule(productGroup, config) {
+  return (config.rules || [])
+    .filter(rule => ruleMatches(rule, productGroup))
+    .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+function adjustmentFor(table, value) {
+  const key = Object.keys(table || {}).find(candidate => normalizeValue(candidate) === normalizeValue(value));
+  return key ? table[key] : 0;
+}
+
+// BASE PRICE - Grade A price for a group from the rules table
+function calculateBasePrice(productGroup, config = DEFAULT_PRICING) {
+  const rule = findRule(productGroup, config);
+  let price = rule ? rule.price : config.defaultPrice;
+
+  if (!rule || rule.storage === undefined) {
+    price += adjustmentFor(config.storageAdjustments, productGroup.storage);
+  }
+  if (!rule || rule.memory === undefined) {
+    price += adjustmentFor(config.memoryAdjustments, productGroup.memory);
+  }
+
+  return { price: finalPrice(price, config, rule), rule };
+}
+
+// GRADE PRICE - Scale a grade A price by the grade multiplier
+function calculateGradePrice(basePrice, grade, config = DEFAULT_PRICING) {
+  const multiplier = config.gradeMultipliers?.[grade] ?? config.fallbackGradeMultiplier;
+  return finalPrice(basePrice * multiplier, config);
+}
+
+// COST-PLUS PRICE - Margin on unit cost, rounded up so neither the margin nor the minimum profit
+// is lost to rounding, and never below cost plus the minimum profit whatever the price limits say
+function calculateCostPlusPrice(unitCost, config = DEFAULT_PRICING) {
+  const { margin = 0, minimumProfit = 0 } = config.costPlus || {};
+  const price = Math.max(unitCost * (1 + margin), unitCost + minimumProfit);
+  return finalPrice(price, config, null, unitCost + minimumProfit);
+}
+
+// COMPARE-AT PRICE - null for grades without one, or when it would not be above the selling price
+function calculateCompareAtPrice(basePrice, grade, config = DEFAULT_PRICING, sellingPrice = null) {
+  const multiplier = config.compareAt?.[grade];
+  if (!multiplier) return null;
+
+  const compareAt = roundPrice(basePrice * multiplier, config.rounding);
+  return sellingPrice !== null && compareAt <= sellingPrice ? null : compareAt;
+}
+
+// PRICE GROUP - Sets basePrice plus a price/compareAtPrice on every variant
+function priceGroup(productGroup, config = DEFAULT_PRICING) {
+  const { price: basePrice, rule } = calculateBasePrice(productGroup, config);
+  const useCost = config.costPlus?.enabled;
+
+  productGroup.basePrice = basePrice;
+  productGroup.pricing = {
+    rule: rule ? RULE_KEYS.filter(key => rule[key] !== undefined).map(key => `${key}=${rule[key]}`).join(', ') : 'default price',
+    methods: []
+  };
+
+  Object.values(productGroup.variants || {}).forEach(variant => {
+    const unitCost = variant.costUnits > 0 ? variant.costTotal / variant.costUnits : null;
+
+    if (useCost && unitCost !== null) {
+      variant.cost = Math.round(unitCost * 100) / 100;
+      variant.price = calculateCostPlusPrice(unitCost, config);
+      variant.pricingMethod = 'cost-plus';
+    } else {
+      variant.price = calculateGradePrice(basePrice, variant.condition, config);
+      variant.pricingMethod = 'rule';
+    }
+
+    variant.compareAtPrice = calculateCompareAtPrice(basePrice, variant.condition, config, variant.price);
+    if (!productGroup.pricing.methods.includes(variant.pricingMethod)) {
+      productGroup.pricing.methods.push(variant.pricingMethod);
+    }
+
+    delete variant.costTotal;
+    delete variant.costUnits;
+  });
+
+  return productGroup;
+}
+
+// REPRICE GROUP - Price a group again after its rows or specs were edited in review: unit costs are
+// rebuilt from the rows still in the group, prices and compare-at prices typed in by hand are kept
+function repriceGroup(productGroup, config = DEFAULT_PRICING) {
+  const variants = Object.values(productGroup.variants || {});
+  const kept = new Map(variants.map(variant => [variant, {
+    price: variant.pricingMethod === 'manual' ? variant.price : undefined,
+    compareAtPrice: variant.compareAtEdited ? variant.compareAtPrice : undefined
+  }]));
+
+  variants.forEach(variant => {
+    variant.costTotal = 0;
+    variant.costUnits = 0;
+    delete variant.cost;
+  });
+  (productGroup.items || []).forEach(item => {
+    const variant = variants.find(candidate => candidate.color === item.color && candidate.condition === item.grade);
+    if (variant && item.cost !== null && item.cost !== undefined) {
+      variant.costTotal += item.cost * (item.quantity || 0);
+      variant.costUnits += item.quantity || 0;
+    }
+  });
+
+  priceGroup(productGroup, config);
+
+  variants.forEach(variant => {
+    const { price, compareAtPrice } = kept.get(variant);
+    if (price !== undefined && price !== null) {
+      variant.price = price;
+      variant.pricingMethod = 'manual';
+    }
+    if (compareAtPrice !== undefined) variant.compareAtPrice = compareAtPrice;
+  });
+  productGroup.pricing.methods = [...new Set(variants.map(variant => variant.pricingMethod))];
+  return productGroup;
+}
+
+// LOAD PRICING CONFIG - Saved overrides on top of the defaults
+async function loadPricingConfig(event) {
+  try {
+    const overrides = await openStore('pricing', event).get('config', { type: 'json' });
+    return mergePricingConfig(overrides);
+  } catch (error) {
+    console.log(`Could not load pricing config, using defaults: ${error.message}`);
+    return DEFAULT_PRICING;
+  }
+}
+
+function storePrice(price, storePricing) {
+  if (price === undefined || price === null || price === '') return price;
+  const converted = Number(price) * storePricing.priceMultiplier;
+  return storePricing.rounding ? roundPrice(converted, storePricing.rounding) : Math.round(converted * 100) / 100;
+}
+
+// APPLY STORE PRICING - A copy of the groups priced for one Shopify store; the processed groups
+// are left alone so every store of a run starts from the same prices
+function applyStorePricing(productGroups, storePricing = DEFAULT_STORE_PRICING) {
+  if (storePricing.priceMultiplier === 1 && !storePricing.rounding) return productGroups;
+
+  const priced = JSON.parse(JSON.stringify(productGroups));
+  Object.values(priced).forEach(productGroup => {
+    productGroup.basePrice = storePrice(productGroup.basePrice, storePricing);
+    Object.values(productGroup.variants || {}).forEach(variant => {
+      variant.price = storePrice(variant.price, storePricing);
+      variant.compareAtPrice = storePrice(variant.compareAtPrice, storePricing);
+    });
+  });
+  return priced;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  DEFAULT_STORE_PRICING,
+  sanitizeStorePricing,
+  applyStorePricing,
+  mergePricingConfig,
+  sanitizePricingConfig,
+  parseMoney,
+  roundPrice,
+  findRule,
+  calculateBasePrice,
+  calculateGradePrice,
+  calculateCostPlusPrice,
+  calculateCompareAtPrice,
+  priceGroup,
+  repriceGroup,
+  loadPricingConfig
+};
@@ -0,0 +1,159 @@
+const XLSX = require('xlsx');
+const {
+  createEnhancedVariants, variantStock, countUnits, createProductTags, createProductMetafields,
+  createSEOHandle, createSEODescription, createEnhancedProductDescription, productVendor
+} = require('./shopify-sync');
+
+// Columns of Shopify's product import template, in template order
+const PRODUCT_CSV_COLUMNS = [
+  'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Product Category', 'Type', 'Tags', 'Published',
+  'Option1 Name', 'Option1 Value', 'Option2 Name', 'Option2 Value', 'Option3 Name', 'Option3 Value',
+  'Variant SKU', 'Variant Grams', 'Variant Inventory Tracker', 'Variant Inventory Qty', 'Variant Inventory Policy',
+  'Variant Fulfillment Service', 'Variant Price', 'Variant Compare At Price', 'Variant Requires Shipping',
+  'Variant Taxable', 'Variant Barcode', 'Image Src', 'Image Position', 'Image Alt Text', 'Gift Card',
+  'SEO Title', 'SEO Description', 'Variant Image', 'Variant Weight Unit', 'Variant Tax Code', 'Cost per item', 'Status'
+];
+
+// Metafields go in "Name (product.metafields.namespace.key)" columns; the store needs a
+// matching metafield definition for Shopify to import them
+function metafieldColumn(metafield) {
+  return `${metafield.key} (product.metafields.${metafield.namespace}.${metafield.key})`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UNIQUE HANDLE - Two groups with the same title would otherwise be imported as one product
+function uniqueHandle(title, used) {
+  const base = createSEOHandle(title) || 'product';
+  let handle = base;
+  for (let number = 2; used.has(handle); number++) {
+    handle = `${base}-${number}`;
+  }
+  used.add(handle);
+  return handle;
+}
+
+// PRODUCT CSV ROWS - One row per variant; product fields only on each product's first row.
+// Descriptions use the primary-language templates - Shopify imports translations separately.
+function buildProductCsvRows(productGroups, templates) {
+  const usedHandles = new Set();
+  const metafieldColumns = new Set();
+  const rows = [];
+
+  Object.values(productGroups).forEach(productGroup => {
+    const handle = uniqueHandle(productGroup.seoTitle, usedHandles);
+    const stock = variantStock(productGroup);
+    const metafields = createProductMetafields(productGroup);
+    const costs = Object.values(productGroup.variants || {}).map(variant => variant.cost);
+
+    createEnhancedVariants(productGroup).forEach((variant, index) => {
+      const row = {
+        Handle: handle,
+        'Option1 Value': variant.option1,
+        'Option2 Value': variant.option2,
+        'Variant SKU': variant.sku,
+        'Variant Grams': Math.round(variant.weight * 1000),
+        'Variant Inventory Tracker': variant.inventory_management,
+        'Variant Inventory Qty': stock[index]?.quantity ?? 0,
+        'Variant Inventory Policy': variant.inventory_policy,
+        'Variant Fulfillment Service': variant.fulfillment_service || 'manual',
+        'Variant Price': variant.price,
+        'Variant Compare At Price': variant.compare_at_price,
+        'Variant Requires Shipping': variant.requires_shipping ? 'TRUE' : 'FALSE',
+        'Variant Taxable': variant.taxable ? 'TRUE' : 'FALSE',
+        'Variant Weight Unit': variant.weight_unit,
+        'Cost per item': costs[index]
+      };
+
+      if (index === 0) {
+        Object.assign(row, {
+          Title: productGroup.seoTitle,
+          'Body (HTML)': createEnhancedProductDescription(productGroup, templates).trim(),
+          Vendor: productVendor(productGroup),
+          Type: productGroup.productType,
+          Tags: createProductTags(productGroup),
+          Published: 'TRUE',
+          'Option1 Name': 'Color',
+          'Option2 Name': 'Condition',
+          'Gift Card': 'FALSE',
+          'SEO Title': productGroup.seoTitle,
+          'SEO Description': createSEODescription(productGroup, templates),
+          Status: 'active'
+        });
+        metafields.forEach(metafield => {
+          const column = metafieldColumn(metafield);
+          metafieldColumns.add(column);
+          row[column] = metafield.value;
+        });
+      }
+
+      rows.push(row);
+    });
+  });
+
+  return { columns: [...PRODUCT_CSV_COLUMNS, ...metafieldColumns], rows };
+}
+
+// BUILD PRODUCT CSV - Shopify's product import format, UTF-8 with CRLF line endings
+function buildProductCsv(productGroups, templates) {
+  const { columns, rows } = buildProductCsvRows(productGroups, templates);
+  const lines = [columns.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// BUILD SUMMARY WORKBOOK - A Groups sheet (one line per listing) and a Units sheet (one line per source row)
+function buildSummaryWorkbook(productGroups) {
+  const usedHandles = new Set();
+  const groups = Object.entries(productGroups).map(([key, productGroup]) => {
+    const prices = createEnhancedVariants(productGroup).map(variant => Number(variant.price));
+    return {
+      'Group Key': key,
+      Title: productGroup.seoTitle,
+      Handle: uniqueHandle(productGroup.seoTitle, usedHandles),
+      Type: productGroup.productType,
+      Processor: productGroup.processor,
+      Storage: productGroup.storage,
+      Memory: productGroup.memory,
+      Screen: productGroup.displaySize || '',
+      Year: productGroup.year || '',
+      Keyboard: productGroup.keyboard || '',
+      Variants: Object.keys(productGroup.variants || {}).length,
+      Units: countUnits(productGroup),
+      'Min Price': Math.min(...prices),
+      'Max Price': Math.max(...prices),
+      Collections: (productGroup.collections || []).join(', ')
+    };
+  });
+
+  const units = Object.entries(productGroups).flatMap(([key, productGroup]) =>
+    (productGroup.items || []).map(item => ({
+      'Group Key': key,
+      Title: productGroup.seoTitle,
+      Sheet: item.sheet,
+      Row: item.row,
+      Model: item.model,
+      Serial: item.serial || '',
+      Color: item.color,
+      Grade: item.grade,
+      Quantity: item.quantity,
+      Location: item.location || '',
+      Cost: item.cost ?? ''
+    }))
+  );
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(groups), 'Groups');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(units), 'Units');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  PRODUCT_CSV_COLUMNS,
+  buildProductCsvRows,
+  buildProductCsv,
+  buildSummaryWorkbook
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { alternateGroupKeys } = require('./grouping');
+
+// Metafield every synced product carries so later syncs can find it again
+const IDENTITY_NAMESPACE = 'inventory_sync';
+const IDENTITY_KEY = 'group_key';
+
+// IDENTITY HASH - Short stable code for a group key, embedded in every variant SKU
+function identityHash(groupKey) {
+  return crypto.createHash('sha1').update(String(groupKey)).digest('hex').substring(0, 6).toUpperCase();
+}
+
+// COLOR CODE - Initials for multi-word colors (Space Gray → SG), first three letters otherwise
+function colorCode(color) {
+  const words = String(color || 'Default').replace(/[^a-zA-Z0-9 ]/g, '').split(/\s+/).filter(Boolean);
+  if (words.length > 1) return words.map(word => word[0]).join('').toUpperCase();
+  return (words[0] || 'DEF').substring(0, 3).toUpperCase();
+}
+
+function identityMetafield(groupKey) {
+  return {
+    namespace: IDENTITY_NAMESPACE,
+    key: IDENTITY_KEY,
+    value: groupKey,
+    type: 'single_line_text_field'
+  };
+}
+
+// MATCH PRODUCT - Group-key metafield first, then SKU identity hash, then exact title on unmanaged products.
+// Returns { product, method } for one match, { conflict: [...] } for several, or {} for none.
+function matchProduct(existingProducts, identities, groupKey, productGroup) {
+  const candidates = (products, reason) => products.map(product => ({ id: product.id, title: product.title, reason }));
+
+  const byKey = existingProducts.filter(product => identities[product.id] === groupKey);
+  if (byKey.length === 1) return { product: byKey[0], method: 'group-key' };
+  if (byKey.length > 1) return { conflict: candidates(byKey, 'same group key metafield') };
+
+  // Synced under another grouping - findPreviousIdentities only hands out unambiguous ones
+  if (productGroup.previousIdentity) {
+    const byPrevious = existingProducts.filter(product => identities[product.id] === productGroup.previousIdentity);
+    if (byPrevious.length === 1) return { product: byPrevious[0], method: 'previous-grouping' };
+  }
+
+  const hash = identityHash(groupKey);
+  const bySku = existingProducts.filter(product =>
+    (product.variants || []).some(variant => (variant.sku || '').split('-').includes(hash))
+  );
+  if (bySku.length === 1) return { product: bySku[0], method: 'sku' };
+  if (bySku.length > 1) return { conflict: candidates(bySku, `variant SKUs contain ${hash}`) };
+
+  // Products created before identities existed - only an exact title on a product no other group owns
+  const byTitle = existingProducts.filter(product =>
+    !identities[product.id] && product.title.toLowerCase() === productGroup.seoTitle.toLowerCase()
+  );
+  if (byTitle.length === 1) return { product: byTitle[0], method: 'title' };
+  if (byTitle.length > 1) return { conflict: candidates(byTitle, 'same title') };
+
+  return {};
+}
+
+// FIND PREVIOUS IDENTITIES - After the grouping dimensions change, products still carry keys built
+// from the old ones. A product whose key is no group's key in the upload but is what exactly one
+// group's attributes give under some other grouping belongs to that group - when the group has no
+// other such product. Returns { groupKey: old key }; splits and merges are left to the plan.
+function findPreviousIdentities(existingProducts, identities, productGroups, keysInUpload) {
+  const orphaned = new Set(existingProducts.map(product => identities[product.id])
+    .filter(identity => identity && !keysInUpload.has(identity)));
+  if (orphaned.size === 0) return {};
+
+  const claims = {};
+  const candidates = {};
+  Object.entries(productGroups).forEach(([key, productGroup]) => {
+    if (!productGroup.identityAttributes) return;
+    candidates[key] = alternateGroupKeys(productGroup.identityAttributes).filter(alternate => orphaned.has(alternate));
+    candidates[key].forEach(alternate => {
+      claims[alternate] = (claims[alternate] || 0) + 1;
+    });
+  });
+
+  const previous = {};
+  Object.entries(candidates).forEach(([key, alternates]) => {
+    const owners = existingProducts.filter(product => alternates.includes(identities[product.id]));
+    if (alternates.length === 1 && claims[alternates[0]] === 1 && owners.length === 1) {
+      previous[key] = alternates[0];
+    }
+  });
+  return previous;
+}
+
+module.exports = {
+  IDENTITY_NAMESPACE,
+  IDENTITY_KEY,
+  identityHash,
+  colorCode,
+  identityMetafield,
+  matchProduct,
+  findPreviousIdentities
+};
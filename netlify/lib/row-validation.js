@@ -0,0 +1,152 @@
+const XLSX = require('xlsx');
+const { readRows } = require('./spreadsheet');
+const { GRADES, normalizeColor, normalizeGrade, parseQuantity } = require('./variant-attributes');
+const { normalizeSerial } = require('./unit-registry');
+const { parseMoney } = require('./pricing');
+
+// A capacity is a number with an optional GB/TB unit ("256", "256GB", "1 TB", "512GB SSD")
+const CAPACITY = /^\d+(?:\.\d+)?\s*(?:gb|tb)?\b/i;
+
+function issue(severity, field, message, value) {
+  return { severity, field, message, value: value === undefined ? '' : String(value) };
+}
+
+function checkCapacity(issues, fields, mapping, catalogMatch, field, label) {
+  const value = fields[field];
+  if (!value) {
+    // Only a mapped column left blank is worth flagging - sheets without the column are expected,
+    // and a blank the catalog fills from the part number or model is not a problem
+    if (mapping[field] !== undefined && !catalogMatch?.[field]) issues.push(issue('warning', field, `No ${label.toLowerCase()} - the row is grouped as Unknown`));
+    return;
+  }
+  if (!CAPACITY.test(value)) issues.push(issue('error', field, `${label} "${value}" is not a capacity like 256GB or 1TB`, value));
+}
+
+// VALIDATE ROW - Problems the processor would otherwise paper over with Unknown, Product N or grade A
+function validateRow(fields, mapping, catalogMatch = null) {
+  const issues = [];
+
+  if (!fields.model && !catalogMatch) issues.push(issue('error', 'model', 'No model - the row is listed under a placeholder name'));
+  checkCapacity(issues, fields, mapping, catalogMatch, 'storage', 'Storage');
+  checkCapacity(issues, fields, mapping, catalogMatch, 'memory', 'Memory');
+
+  if (fields.grade && normalizeGrade(fields.grade) === null) {
+    issues.push(issue('error', 'grade', `Grade "${fields.grade}" is not one of ${Object.keys(GRADES).join('/')} - it would be listed as grade A`, fields.grade));
+  }
+
+  if (parseQuantity(fields.quantity) === null) {
+    const negative = Number(String(fields.quantity).replace(/,/g, '')) < 0;
+    issues.push(issue('error', 'quantity', `Quantity "${fields.quantity}" is ${negative ? 'negative' : 'not a whole number'} - the row counts as 0 units`, fields.quantity));
+  }
+
+  if (fields.cost && parseMoney(fields.cost) === null) {
+    issues.push(issue('warning', 'cost', `Cost "${fields.cost}" is not an amount of zero or more - the row is priced from the rules`, fields.cost));
+  }
+
+  if (fields.color && !normalizeColor(fields.color).known) {
+    issues.push(issue('warning', 'color', `Color "${fields.color}" is not an Apple color name`, fields.color));
+  }
+
+  return issues;
+}
+
+// DUPLICATE SERIALS - Every repeat of a serial after its first row is an error on the repeating row
+function duplicateSerialIssues(rows) {
+  const firstSeen = {};
+  const issues = [];
+
+  rows.forEach(({ sheet, row, serial }) => {
+    const normalized = normalizeSerial(serial);
+    if (!normalized) return;
+
+    if (firstSeen[normalized]) {
+      issues.push({ sheet, row, ...issue('error', 'serial', `Serial ${normalized} is already on ${firstSeen[normalized]}`, serial) });
+    } else {
+      firstSeen[normalized] = `${sheet}!${row}`;
+    }
+  });
+
+  return issues;
+}
+
+// BUILD VALIDATION REPORT - Issues in sheet and row order with error/warning counts
+function buildValidationReport(issues, sheetNames, checkedRows) {
+  const sorted = [...issues].sort((a, b) =>
+    sheetNames.indexOf(a.sheet) - sheetNames.indexOf(b.sheet) || a.row - b.row);
+  const rowsWith = severity => new Set(sorted.filter(entry => entry.severity === severity).map(entry => `${entry.sheet}!${entry.row}`)).size;
+
+  return {
+    checkedRows,
+    errors: sorted.filter(entry => entry.severity === 'error').length,
+    warnings: sorted.filter(entry => entry.severity === 'warning').length,
+    rowsWithErrors: rowsWith('error'),
+    rowsWithWarnings: rowsWith('warning'),
+    issues: sorted
+  };
+}
+
+// REMAINING ERRORS - Errors of the report on rows still in the given groups, i.e. rows a sync would publish
+function remainingErrors(report, productGroups) {
+  const included = new Set(Object.values(productGroups || {})
+    .flatMap(group => (group.items || []).map(item => `${item.sheet}!${item.row}`)));
+  return (report?.issues || []).filter(entry => entry.severity === 'error' && included.has(`${entry.sheet}!${entry.row}`));
+}
+
+// Excel sheet names are at most 31 characters and cannot contain \ / ? * [ ] :
+function worksheetName(name, used) {
+  const base = String(name).replace(/[\\/?*[\]:]/g, '_').substring(0, 28) || 'Sheet';
+  let candidate = base;
+  for (let number = 2; used.has(candidate.toLowerCase()); number++) {
+    candidate = `${base}-${number}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// BUILD ANNOTATED WORKBOOK - The uploaded rows with Validation and Issues columns in front, plus an
+// Issues sheet listing every problem, so suppliers can be sent the file back to fix. Rows the
+// Apple filter left out are marked Excluded with the reason.
+function buildAnnotatedWorkbook(buffer, upload, report, excluded = null) {
+  const { sheets, records } = readRows(buffer, upload);
+  const byRow = {};
+  report.issues.forEach(entry => {
+    (byRow[`${entry.sheet}!${entry.row}`] = byRow[`${entry.sheet}!${entry.row}`] || []).push(entry);
+  });
+  const excludedRows = {};
+  (excluded?.rows || []).forEach(entry => {
+    excludedRows[`${entry.sheet}!${entry.row}`] = entry;
+  });
+
+  const workbook = XLSX.utils.book_new();
+  const used = new Set(['issues']);
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.issues.map(entry => ({
+    Sheet: entry.sheet,
+    Row: entry.row,
+    Severity: entry.severity === 'error' ? 'Error' : 'Warning',
+    Field: entry.field,
+    Value: entry.value,
+    Issue: entry.message
+  })), { header: ['Sheet', 'Row', 'Severity', 'Field', 'Value', 'Issue'] }), 'Issues');
+
+  sheets.filter(sheet => sheet.included).forEach(sheet => {
+    const rows = records.filter(record => record.sheet === sheet.name).map(({ row, data }) => {
+      const exclusion = excludedRows[`${sheet.name}!${row}`];
+      if (exclusion) return { Validation: 'Excluded', Issues: exclusion.detail, Row: row, ...data };
+
+      const rowIssues = byRow[`${sheet.name}!${row}`] || [];
+      const status = rowIssues.some(entry => entry.severity === 'error') ? 'Error' : rowIssues.length > 0 ? 'Warning' : 'OK';
+      return { Validation: status, Issues: rowIssues.map(entry => entry.message).join('; '), Row: row, ...data };
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), worksheetName(sheet.name, used));
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  validateRow,
+  duplicateSerialIssues,
+  buildValidationReport,
+  remainingErrors,
+  buildAnnotatedWorkbook
+};
@@ -0,0 +1,196 @@
+const fetch = require('node-fetch');
+
+const DEFAULT_API_VERSION = '2023-10';
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 16000;
+
+// Start waiting once the REST bucket is this full, so bursts never hit a 429
+const BUCKET_HIGH_WATER = 0.8;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Writes that are not idempotent (POST, GraphQL mutations) may have been applied when the response
+// was lost, so they are only retried when Shopify says it did not take them: 429, or 503 with Retry-After
+function isRetryable(status, idempotent, retryAfter) {
+  if (status === 429 || (status === 503 && retryAfter)) return true;
+  return idempotent && status >= 500;
+}
+
+function isMutation(query) {
+  return /^\s*(?:#[^\n]*\n\s*)*mutation\b/.test(query);
+}
+
+// BACKOFF - Retry-After when Shopify sends one, otherwise exponential with jitter
+function backoffDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) return seconds * 1000;
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// SHOPIFY ERROR - Carries the real status and error body instead of a bare status code
+function shopifyError(method, path, status, body) {
+  const detail = typeof body === 'string' ? body : JSON.stringify(body?.errors ?? body);
+  const error = new Error(`Shopify ${method} ${path} failed (${status}): ${detail}`);
+  error.shopifyStatus = status;
+  error.body = body;
+  return error;
+}
+
+// CREATE SHOPIFY CLIENT - One per sync run so every helper shares the store's call budget
+function createShopifyClient({ storeUrl, apiToken, apiVersion = DEFAULT_API_VERSION, maxRetries = MAX_RETRIES }) {
+  const baseUrl = `https://${storeUrl}/admin/api/${apiVersion}/`;
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': apiToken
+  };
+
+  // REST leaky bucket as last reported by X-Shopify-Shop-Api-Call-Limit (40 calls, 2/s on standard plans)
+  const bucket = { used: 0, limit: 40, leakRate: 2, at: Date.now() };
+  // GraphQL cost bucket from extensions.cost.throttleStatus
+  const costBucket = { available: null, restoreRate: 50, at: Date.now() };
+
+  async function throttleRest() {
+    const leaked = ((Date.now() - bucket.at) / 1000) * bucket.leakRate;
+    const fill = Math.max(0, bucket.used - leaked);
+    const highWater = bucket.limit * BUCKET_HIGH_WATER;
+
+    if (fill >= highWater) {
+      await sleep(((fill - highWater + 1) / bucket.leakRate) * 1000);
+    }
+  }
+
+  function recordCallLimit(response) {
+    const header = response.headers.get('X-Shopify-Shop-Api-Call-Limit');
+    const match = header && header.match(/^(\d+)\/(\d+)$/);
+    if (!match) return;
+
+    bucket.used = Number(match[1]);
+    bucket.limit = Number(match[2]);
+    // Shopify Plus stores have a 400 call bucket that leaks 20 per second
+    bucket.leakRate = bucket.limit / 20;
+    bucket.at = Date.now();
+  }
+
+  // REQUEST - One REST call with throttling and retries; path is relative to the API root or a full URL.
+  // Network errors and 5xx are only retried for idempotent calls - everything but POST unless told otherwise.
+  async function request(method, path, body, { idempotent = method !== 'POST' } = {}) {
+    const url = /^https?:/.test(path) ? path : `${baseUrl}${path}`;
+
+    for (let attempt = 0; ; attempt++) {
+      await throttleRest();
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+      } catch (error) {
+        // Network failures (resets, timeouts) are retried like a 5xx
+        if (!idempotent || attempt >= maxRetries) throw error;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      recordCallLimit(response);
+      const data = parseBody(await response.text());
+
+      if (response.ok) {
+        return { data, headers: response.headers, status: response.status };
+      }
+
+      const retryAfter = response.headers.get('Retry-After');
+      if (isRetryable(response.status, idempotent, retryAfter) && attempt < maxRetries) {
+        const delay = backoffDelay(attempt, retryAfter);
+        console.warn(`Shopify ${method} ${path} returned ${response.status}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw shopifyError(method, path, response.status, data);
+    }
+  }
+
+  // GET ALL - Follow Link rel="next" pages and concatenate one key of each response
+  async function getAll(path, key) {
+    let items = [];
+    let next = `${path}${path.includes('?') ? '&' : '?'}limit=250`;
+
+    while (next) {
+      const { data, headers: responseHeaders } = await request('GET', next);
+      items = items.concat(data?.[key] || []);
+
+      const link = responseHeaders.get('Link');
+      const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+      next = match ? match[1] : null;
+    }
+
+    return items;
+  }
+
+  // GRAPHQL - Waits out the cost bucket and retries THROTTLED responses; queries are retried after
+  // network errors and 5xx like a GET, mutations are not
+  async function graphql(query, variables = {}) {
+    const idempotent = !isMutation(query);
+    for (let attempt = 0; ; attempt++) {
+      if (costBucket.available !== null) {
+        const restored = ((Date.now() - costBucket.at) / 1000) * costBucket.restoreRate;
+        if (costBucket.available + restored < costBucket.restoreRate) {
+          await sleep(1000);
+        }
+      }
+
+      const { data } = await request('POST', 'graphql.json', { query, variables }, { idempotent });
+      const throttleStatus = data?.extensions?.cost?.throttleStatus;
+      if (throttleStatus) {
+        costBucket.available = throttleStatus.currentlyAvailable;
+        costBucket.restoreRate = throttleStatus.restoreRate;
+        costBucket.at = Date.now();
+      }
+
+      const throttled = (data?.errors || []).some(error => error.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < maxRetries) {
+        const needed = data.extensions?.cost?.requestedQueryCost || costBucket.restoreRate;
+        const wait = throttleStatus
+          ? ((needed - throttleStatus.currentlyAvailable) / throttleStatus.restoreRate) * 1000
+          : backoffDelay(attempt);
+        await sleep(Math.max(wait, BASE_BACKOFF_MS));
+        continue;
+      }
+
+      if (data?.errors) {
+        throw shopifyError('POST', 'graphql.json', 200, data);
+      }
+      return data.data;
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+    get: path => request('GET', path),
+    post: (path, body) => request('POST', path, body),
+    put: (path, body) => request('PUT', path, body),
+    del: path => request('DELETE', path),
+    getAll,
+    graphql
+  };
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  createShopifyClient
+};
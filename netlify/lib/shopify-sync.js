@@ -0,0 +1,1573 @@
+const { DEFAULT_API_VERSION, createShopifyClient } = require('./shopify-client');
+const { DEFAULT_PRICING, applyStorePricing, calculateGradePrice, calculateCompareAtPrice, repriceGroup, loadPricingConfig } = require('./pricing');
+const { openStore } = require('./storage');
+const { getStoreCredentials, loadStorePricing } = require('./store-registry');
+const { STORE_NAME: UNIT_STORE, registerUnits } = require('./unit-registry');
+const { PRODUCT_FIELDS, VARIANT_FIELDS, diffFields } = require('./sync-audit');
+const { remainingErrors } = require('./row-validation');
+const { IDENTITY_NAMESPACE, IDENTITY_KEY, identityHash, colorCode, identityMetafield, matchProduct, findPreviousIdentities } = require('./product-identity');
+const {
+  DEFAULT_GRAPHQL_API_VERSION, toGid, snapshotCatalog, buildProductSetInput, productSet, getLocationLevels,
+  applyInventoryChanges, getShopLocales, registerProductTranslations
+} = require('./graphql-sync');
+const {
+  PRIMARY_LOCALE, LOCALES, DEFAULT_TEMPLATES, renderDescription, loadDescriptionTemplates
+} = require('./description-templates');
+const {
+  libraryFileName, isAttached, loadImageLibrary, readImageData, matchImages, imageAltText
+} = require('./image-library');
+const {
+  tagSlug, smartCollectionRules, sameRules, collectionHandle, membershipChanges, loadCollectionRules, saveManagedCollections
+} = require('./collection-rules');
+const { DEFAULT_TAXONOMY, typeProfile } = require('./taxonomy');
+
+// What happens to managed listings that are no longer in the upload
+const RECONCILE_POLICIES = ['none', 'zero', 'draft', 'archive'];
+
+// rest: one call per product/variant/collect; graphql: bulk snapshot plus one productSet per group
+const SYNC_ENGINES = ['rest', 'graphql'];
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+
+// Stores one upload can be published to in a single run
+const MAX_STORES = 5;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// RESOLVE SYNC OPTIONS - Validated request settings shared by the sync function and background jobs
+function resolveSyncOptions(body) {
+  const {
+    storeId, storeIds, productGroups, mode, resolutions = {}, approvals, locationId, inventoryMode = 'set',
+    reconcile = 'none', uploadedKeys, engine = 'rest', apiVersion: requestedApiVersion, fileName, uploadId,
+    blockOnErrors = false, validation
+  } = body || {};
+  const apiVersion = requestedApiVersion || (engine === 'graphql' ? DEFAULT_GRAPHQL_API_VERSION : DEFAULT_API_VERSION);
+
+  if (!productGroups && mode !== 'locations') {
+    throw badRequest('Missing required data');
+  }
+  if (!['set', 'adjust'].includes(inventoryMode)) {
+    throw badRequest('inventoryMode must be set or adjust');
+  }
+  if (!RECONCILE_POLICIES.includes(reconcile)) {
+    throw badRequest(`reconcile must be one of: ${RECONCILE_POLICIES.join(', ')}`);
+  }
+  if (!SYNC_ENGINES.includes(engine) || !API_VERSION_PATTERN.test(apiVersion)) {
+    throw badRequest(`engine must be one of: ${SYNC_ENGINES.join(', ')}, apiVersion like 2024-07`);
+  }
+
+  // storeId is the store the location was picked for; storeIds adds the others to publish to
+  let targets = null;
+  if (storeIds !== undefined) {
+    targets = [...new Set([storeId, ...(Array.isArray(storeIds) ? storeIds : [])].filter(Boolean))];
+    if (!Array.isArray(storeIds) || !targets.every(id => typeof id === 'string') || targets.length === 0 || targets.length > MAX_STORES) {
+      throw badRequest(`storeIds must list 1 to ${MAX_STORES} store ids`);
+    }
+  }
+
+  // Plan choices are per store: resolutions { storeId: { groupKey: product id or 'create' } } and
+  // approvals { storeId: [groupKey] }. A flat resolutions map is the first store's alone.
+  const firstStore = targets ? targets[0] : storeId;
+  const flat = Object.values(resolutions || {}).some(value => typeof value !== 'object' || value === null);
+  const storeResolutions = flat ? { [firstStore]: resolutions } : (resolutions || {});
+  if (approvals !== undefined && (typeof approvals !== 'object' || approvals === null ||
+    !Object.values(approvals).every(keys => Array.isArray(keys) && keys.every(key => typeof key === 'string')))) {
+    throw badRequest('approvals must map store ids to lists of group keys');
+  }
+
+  // Block on errors - nothing is written while the validation report has errors on rows being synced
+  if (blockOnErrors && mode !== 'plan' && mode !== 'locations') {
+    if (!validation || !Array.isArray(validation.issues)) {
+      throw badRequest('blockOnErrors needs the validation report of the upload');
+    }
+    const blocking = remainingErrors(validation, productGroups);
+    if (blocking.length > 0) {
+      const error = new Error(`Sync blocked: ${blocking.length} validation error(s) remain on rows being synced - fix the file or untick those rows`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  return {
+    storeId: firstStore, storeIds: targets, productGroups, mode, resolutions: storeResolutions, approvals: approvals || null, locationId, inventoryMode,
+    reconcile, uploadedKeys, engine, apiVersion, fileName: fileName ? String(fileName) : null,
+    uploadId: uploadId ? String(uploadId) : null
+  };
+}
+
+// STORE OPTIONS - One set of options per store of the run. Location ids belong to one store,
+// so only the first store gets the picked location; the others use their primary location.
+// Each store gets its own plan choices: its conflict resolutions, and only the groups approved
+// for it when approvals were sent - a store with none approved is left out.
+function storeOptions(options) {
+  const { storeIds, approvals, resolutions, ...shared } = options;
+  const targets = (storeIds || [options.storeId]).map((storeId, index) => {
+    const approved = approvals?.[storeId];
+    const productGroups = approved
+      ? Object.fromEntries(Object.entries(options.productGroups).filter(([key]) => approved.includes(key)))
+      : options.productGroups;
+    return {
+      ...shared,
+      storeId,
+      productGroups,
+      resolutions: resolutions[storeId] || {},
+      locationId: index === 0 ? options.locationId : undefined
+    };
+  }).filter(target => Object.keys(target.productGroups).length > 0);
+
+  if (targets.length === 0) throw badRequest('No groups approved for any store');
+  return targets;
+}
+
+// CONNECT - Credentials come from the server-side store config, never the request; the resolved
+// store id and URL are kept on the options, the token is not
+async function connect(options, event) {
+  const { id, storeUrl, apiToken } = await getStoreCredentials(options.storeId, event);
+  options.storeId = id;
+  options.storeUrl = storeUrl;
+
+  const shopify = createShopifyClient({ storeUrl, apiToken, apiVersion: options.apiVersion });
+
+  try {
+    const { shop } = (await shopify.get('shop.json')).data;
+    return { shopify, shop };
+  } catch (error) {
+    throw new Error(`Shopify connection failed for ${storeUrl}: ${error.shopifyStatus || error.message} - check the store's API token`);
+  }
+}
+
+// TRANSLATION LOCALES - Shop locales with a description template locale (fr-CA gets the fr
+// template). Without the locales scope the sync still runs, just without translations.
+async function resolveTranslationLocales(shopify) {
+  try {
+    const shopLocales = await getShopLocales(shopify);
+    const locales = shopLocales.filter(shopLocale => !shopLocale.primary).map(shopLocale => ({
+      shopLocale: shopLocale.locale,
+      locale: LOCALES.find(code => code !== PRIMARY_LOCALE && (shopLocale.locale === code || shopLocale.locale.startsWith(`${code}-`)))
+    })).filter(entry => entry.locale);
+    return { locales, warning: null };
+  } catch (error) {
+    console.error('Shop locales error:', error.message);
+    return { locales: [], warning: `Translations skipped - could not read the store's languages: ${error.message}` };
+  }
+}
+
+// PREPARE SYNC - Locations, existing catalog, identities, the store's pricing, description
+// templates, languages and collection rules, and the image library; safe to repeat when a job resumes.
+// bulkOptions ({ operationId, waitMs }) let a short request pick up a GraphQL snapshot still running.
+async function prepareSync(shopify, shop, options, event, bulkOptions = {}) {
+  const locationContext = await resolveLocations(shopify, options.locationId, shop?.primary_location_id);
+  const storePricing = await loadStorePricing(event, options.storeId);
+  const templates = await loadDescriptionTemplates(event, options.storeId);
+  const translations = await resolveTranslationLocales(shopify);
+  const images = await loadImageLibrary(event);
+  const collectionRules = await loadCollectionRules(event, options.storeId);
+
+  // Get existing products - REST pagination, or one bulk query on the GraphQL engine
+  const { products: existingProducts, identities } = options.engine === 'graphql'
+    ? await snapshotCatalog(shopify, bulkOptions)
+    : { products: await getAllExistingProducts(shopify), identities: await getProductIdentities(shopify) };
+
+  // The group key is the product's identity - keep it on the group so edits cannot lose it
+  Object.entries(options.productGroups).forEach(([key, productGroup]) => {
+    productGroup.groupKey = productGroup.groupKey || key;
+  });
+
+  // Every group of the upload, including ones left out of this run - those are not stale
+  const keysInUpload = new Set([...(options.uploadedKeys || []), ...Object.keys(options.productGroups)]);
+
+  // Listings keyed under an earlier grouping are matched and re-keyed, not reconciled away
+  const previousIdentities = findPreviousIdentities(existingProducts, identities, options.productGroups, keysInUpload);
+  Object.entries(previousIdentities).forEach(([key, previousIdentity]) => {
+    options.productGroups[key].previousIdentity = previousIdentity;
+    keysInUpload.add(previousIdentity);
+  });
+
+  // A variant left without a price (cleared in review) is priced with the saved pricing, not the defaults
+  const unpriced = Object.values(options.productGroups).filter(productGroup =>
+    Object.values(productGroup.variants || {}).some(variant => variant.price === null || variant.price === undefined)
+  );
+  if (unpriced.length > 0) {
+    const pricingConfig = await loadPricingConfig(event);
+    unpriced.forEach(productGroup => repriceGroup(productGroup, pricingConfig));
+  }
+
+  // Everything after this point writes this store's prices
+  options.productGroups = applyStorePricing(options.productGroups, storePricing);
+  const currency = shop?.currency || null;
+  const store = {
+    storeId: options.storeId,
+    storeUrl: options.storeUrl,
+    currency,
+    priceMultiplier: storePricing.priceMultiplier,
+    warning: storePricing.currency && currency && storePricing.currency !== currency
+      ? `Pricing is set up for ${storePricing.currency} but ${options.storeUrl} sells in ${currency} - check the store's price multiplier`
+      : null
+  };
+
+  return {
+    shopify, options, store, locationContext, existingProducts, identities, keysInUpload, templates, translations, images, collectionRules
+  };
+}
+
+// PLAN SYNC - Same matching as a real sync, but no writes
+async function planSync(run) {
+  const { shopify, options, existingProducts, identities, keysInUpload } = run;
+  const plan = await buildSyncPlan(shopify, existingProducts, identities, options.productGroups, options.resolutions, run.locationContext, options.inventoryMode, run.templates, run.collectionRules);
+  plan.store = run.store;
+  plan.stale = {
+    policy: options.reconcile,
+    products: findStaleProducts(existingProducts, identities, keysInUpload, plan.groups.flatMap(planTouchedIds))
+      .map(product => ({ id: product.id, title: product.title, groupKey: identities[product.id], status: product.status }))
+  };
+  return plan;
+}
+
+// BEGIN SYNC - Collections plus an empty results object (a resumed job passes its saved results).
+// run.audit, when set, receives every change so the run can be undone.
+async function beginSync(run, savedResults) {
+  const changes = [];
+  const results = savedResults || {
+    auditRunId: run.audit?.runId || null,
+    storeId: run.store.storeId,
+    storeUrl: run.store.storeUrl,
+    currency: run.store.currency,
+    priceMultiplier: run.store.priceMultiplier,
+    engine: run.options.engine,
+    apiVersion: run.options.apiVersion,
+    created: 0,
+    updated: 0,
+    errors: 0,
+    details: [run.store.warning, run.translations.warning].filter(Boolean).map(warning => `⚠️ ${warning}`),
+    translationLocales: run.translations.locales.map(entry => entry.shopLocale),
+    imagesAttached: 0,
+    collectionsCreated: 0,
+    smartCollectionsUpdated: 0,
+    membershipsAdded: 0,
+    membershipsRemoved: 0,
+    unitsLinked: 0,
+    conflicts: [],
+    inventoryMode: run.options.inventoryMode,
+    defaultLocation: run.locationContext.defaultLocation.name,
+    inventory: [],
+    unmappedLocations: [],
+    reconcilePolicy: run.options.reconcile,
+    reconciled: []
+  };
+
+  run.collections = await setupCollections(run.shopify, run.options.productGroups, run.collectionRules, results, changes);
+  await run.audit?.saveChanges(changes);
+  return results;
+}
+
+// Bookkeeping carried from group to group (and saved between job chunks)
+function createSyncState() {
+  return { touchedIds: [], staleVariants: [], unitListings: [] };
+}
+
+// SYNC PRODUCT GROUP - Create or update one group; returns { status, message } for progress reporting
+async function syncProductGroup(run, key, productGroup, results, state) {
+  const { shopify, options, collections, locationContext } = run;
+  const changes = [];
+  let productId;
+
+  try {
+    const match = resolveExistingProduct(run.existingProducts, run.identities, key, productGroup, options.resolutions);
+
+    if (match.conflict) {
+      const message = `⚠️ Conflict: ${productGroup.seoTitle} matches ${match.conflict.length} products - skipped until resolved`;
+      results.conflicts.push({ key, title: productGroup.seoTitle, candidates: match.conflict });
+      state.touchedIds.push(...match.conflict.map(candidate => candidate.id));
+      results.details.push(message);
+      return { status: 'conflict', message };
+    }
+
+    const existingProduct = match.product;
+    if (existingProduct) state.touchedIds.push(existingProduct.id);
+    let variants;
+
+    if (options.engine === 'graphql') {
+      ({ id: productId, variants } = await upsertProductGroupGraphQL(shopify, productGroup, existingProduct, collections, run.templates, existingProduct && run.identities[existingProduct.id], changes));
+    } else if (existingProduct) {
+      productId = existingProduct.id;
+      variants = await updateExistingProductEnhanced(shopify, existingProduct, productGroup, collections, run.templates, run.identities[existingProduct.id], changes);
+    } else {
+      const createdProduct = await createNewProductEnhanced(shopify, productGroup, collections, run.templates, changes);
+      ({ id: productId, variants } = createdProduct.product);
+    }
+    await publishTranslations(run, productId, productGroup, results);
+    await attachImages(run, productId, productGroup, variants, results, changes);
+
+    state.unitListings.push(...collectUnitListings(productGroup, key, productId, variants, options.storeUrl));
+    if (options.engine === 'graphql') {
+      await syncInventoryLevelsGraphQL(shopify, key, productGroup, variants, locationContext, options.inventoryMode, results, changes);
+    } else {
+      await syncInventoryLevels(shopify, key, productGroup, variants, locationContext, options.inventoryMode, results, changes);
+    }
+
+    if (existingProduct) {
+      const dropped = droppedVariants(existingProduct, productGroup);
+      if (dropped.length > 0) {
+        state.staleVariants.push({ key, product: { id: existingProduct.id, title: existingProduct.title }, variants: dropped });
+      }
+      results.updated++;
+      results.details.push(`✅ Updated: ${productGroup.seoTitle}`);
+      return { status: 'updated', productId };
+    }
+
+    results.created++;
+    results.details.push(`🆕 Created: ${productGroup.seoTitle}`);
+    return { status: 'created', productId };
+
+  } catch (error) {
+    results.errors++;
+    results.details.push(`❌ Error with ${productGroup.seoTitle}: ${error.message}`);
+    console.error('Product sync error:', error);
+    return { status: 'error', message: error.message };
+
+  } finally {
+    results.membershipsAdded += changes.filter(change => change.type === 'collect-created').length;
+    results.membershipsRemoved += changes.filter(change => change.type === 'collect-removed').length;
+
+    // Whatever was written before an error is recorded too, so it can still be undone
+    changes.forEach(change => {
+      change.productId = change.productId ?? productId;
+      change.groupKey = key;
+      change.title = change.title ?? productGroup.seoTitle;
+    });
+    await run.audit?.saveChanges(changes);
+  }
+}
+
+// FINISH SYNC - Reconciliation, location warnings and the unit registry once every group is done
+async function finishSync(run, results, state, event) {
+  const { shopify, options, existingProducts, identities, keysInUpload } = run;
+
+  // Listings this tool created earlier whose configuration is gone from the sheet
+  if (options.reconcile !== 'none') {
+    const changes = [];
+    const staleProducts = findStaleProducts(existingProducts, identities, keysInUpload, state.touchedIds);
+    await reconcileStaleListings(shopify, staleProducts, state.staleVariants, identities, options.reconcile, results, changes);
+    await run.audit?.saveChanges(changes);
+  }
+
+  if (results.unmappedLocations.length > 0) {
+    const names = [...new Set(results.unmappedLocations.map(entry => entry.location))];
+    results.details.push(`⚠️ No Shopify location named ${names.join(', ')} - stock for those rows was not synced`);
+  }
+
+  // Register each serial number with the product/variant it now belongs to
+  if (state.unitListings.length > 0) {
+    try {
+      await registerUnits(openStore(UNIT_STORE, event), state.unitListings, {
+        uploadId: options.uploadId,
+        fileName: options.fileName || 'upload'
+      });
+      results.unitsLinked = state.unitListings.length;
+    } catch (error) {
+      results.details.push(`⚠️ Unit registry not updated: ${error.message}`);
+      console.error('Unit registry error:', error);
+    }
+  }
+
+  if (run.audit) {
+    await run.audit.finish(results);
+    if (run.audit.warning) results.details.push(`⚠️ ${run.audit.warning} - undo may not cover every change`);
+  }
+
+  return results;
+}
+
+// PUBLISH TRANSLATIONS - Description and SEO text in each store language that has a template.
+// A failed translation is reported but does not fail the group.
+async function publishTranslations(run, productId, productGroup, results) {
+  for (const { shopLocale, locale } of run.translations.locales) {
+    try {
+      await registerProductTranslations(run.shopify, productId, shopLocale, {
+        body_html: createEnhancedProductDescription(productGroup, run.templates, locale),
+        meta_description: createSEODescription(productGroup, run.templates, locale)
+      });
+    } catch (error) {
+      results.details.push(`⚠️ ${shopLocale} translation not saved for ${productGroup.seoTitle}: ${error.message}`);
+    }
+  }
+}
+
+// ATTACH IMAGES - Library images for the group, color images linked to that color's variants.
+// Images already on the product are not uploaded again; failures are reported, not fatal.
+async function attachImages(run, productId, productGroup, variants, results, changes = []) {
+  const matches = matchImages(productGroup, run.images.entries);
+  if (matches.length === 0) return;
+
+  try {
+    const { shopify } = run;
+    const { data } = await shopify.get(`products/${productId}/images.json`);
+    const existing = data.images || [];
+
+    for (const { entry, color } of matches) {
+      const variantIds = color ? variants.filter(variant => variant.option1 === color).map(variant => variant.id) : [];
+      const attached = existing.find(image => isAttached(image, entry));
+
+      if (attached) {
+        // New variants of an already pictured color still need linking
+        const missing = variantIds.filter(id => !(attached.variant_ids || []).includes(id));
+        if (missing.length > 0) {
+          await shopify.put(`products/${productId}/images/${attached.id}.json`, {
+            image: { id: attached.id, variant_ids: [...(attached.variant_ids || []), ...missing] }
+          });
+        }
+        continue;
+      }
+
+      const attachment = await readImageData(run.images, entry.id);
+      if (!attachment) continue;
+
+      const { data: created } = await shopify.post(`products/${productId}/images.json`, {
+        image: { attachment, filename: libraryFileName(entry), alt: imageAltText(productGroup, color), variant_ids: variantIds }
+      });
+      changes.push({ type: 'image-created', productId, imageId: created.image.id });
+      results.imagesAttached++;
+    }
+  } catch (error) {
+    results.details.push(`⚠️ Images not attached for ${productGroup.seoTitle}: ${error.message}`);
+    console.error('Image attach error:', error.message);
+  }
+}
+
+// GET PRODUCT IDENTITIES - Map of product id → group key metafield, via one paginated GraphQL query
+async function getProductIdentities(shopify) {
+  const identities = {};
+  let cursor = null;
+
+  do {
+    const data = await shopify.graphql(`query ($cursor: String) {
+      products(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          legacyResourceId
+          metafield(namespace: "${IDENTITY_NAMESPACE}", key: "${IDENTITY_KEY}") { value }
+        }
+      }
+    }`, { cursor });
+
+    const products = data.products;
+    products.nodes.forEach(node => {
+      if (node.metafield?.value) {
+        identities[node.legacyResourceId] = node.metafield.value;
+      }
+    });
+    cursor = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+  } while (cursor);
+
+  console.log(`Found ${Object.keys(identities).length} products with a sync identity`);
+  return identities;
+}
+
+// FIND STALE PRODUCTS - Products carrying a sync identity whose group is not in this upload
+function findStaleProducts(existingProducts, identities, keysInUpload, touchedIds) {
+  const touched = touchedIds.map(String);
+  return existingProducts.filter(product =>
+    identities[product.id] && !keysInUpload.has(identities[product.id]) && !touched.includes(String(product.id))
+  );
+}
+
+// Products a planned group would write to or could match, so they are never reported as stale
+function planTouchedIds(group) {
+  if (group.action === 'conflict') return group.candidates.map(candidate => candidate.id);
+  return group.productId ? [group.productId] : [];
+}
+
+// RECONCILE STALE LISTINGS - Zero, draft or archive stale products; zero stale variants of synced products
+async function reconcileStaleListings(shopify, staleProducts, staleVariants, identities, policy, results, changes = []) {
+  for (const product of staleProducts) {
+    const entry = { productId: product.id, title: product.title, groupKey: identities[product.id], action: policy };
+
+    try {
+      if (policy === 'zero') {
+        entry.levelsZeroed = await zeroInventory(shopify, product.variants || [], product, changes);
+        entry.action = entry.levelsZeroed > 0 ? 'zeroed' : 'unchanged';
+      } else {
+        const status = policy === 'draft' ? 'draft' : 'archived';
+        if (product.status === status) {
+          entry.action = 'unchanged';
+        } else {
+          entry.previousStatus = product.status || null;
+          await shopify.put(`products/${product.id}.json`, { product: { id: product.id, status } });
+          changes.push({ type: 'product-status', productId: product.id, title: product.title, before: entry.previousStatus, after: status });
+          entry.action = status;
+        }
+      }
+
+      if (entry.action !== 'unchanged') {
+        results.details.push(`🧹 ${{ zeroed: 'Stock zeroed', draft: 'Moved to draft', archived: 'Archived' }[entry.action]}: ${product.title} (no longer in the sheet)`);
+      }
+    } catch (error) {
+      entry.error = error.message;
+      results.errors++;
+      results.details.push(`❌ Could not reconcile ${product.title}: ${error.message}`);
+    }
+
+    results.reconciled.push(entry);
+  }
+
+  // Variants dropped from a listing that is still in the sheet can only be sold out, not drafted
+  for (const { key, product, variants } of staleVariants) {
+    const entry = {
+      productId: product.id,
+      title: product.title,
+      groupKey: key,
+      action: 'zeroed',
+      variants: variants.map(variant => [variant.option1, variant.option2].filter(Boolean).join(' / '))
+    };
+
+    try {
+      entry.levelsZeroed = await zeroInventory(shopify, variants, product, changes);
+      if (entry.levelsZeroed === 0) continue;
+      results.details.push(`🧹 Stock zeroed: ${product.title} - ${entry.variants.join(', ')} (no longer in the sheet)`);
+    } catch (error) {
+      entry.error = error.message;
+      results.errors++;
+      results.details.push(`❌ Could not zero old variants of ${product.title}: ${error.message}`);
+    }
+
+    results.reconciled.push(entry);
+  }
+}
+
+// ZERO INVENTORY - Set every stocked level of the given variants to 0, returns how many levels changed
+async function zeroInventory(shopify, variants, product, changes = []) {
+  const itemIds = variants.map(variant => variant.inventory_item_id).filter(Boolean);
+  if (itemIds.length === 0) return 0;
+
+  const levels = await getInventoryLevels(shopify, itemIds);
+  let changed = 0;
+
+  for (const [levelKey, available] of Object.entries(levels)) {
+    if (!available) continue;
+    const [inventoryItemId, locationId] = levelKey.split(':');
+    await shopify.post('inventory_levels/set.json', {
+      location_id: Number(locationId),
+      inventory_item_id: Number(inventoryItemId),
+      available: 0
+    });
+    changes.push({
+      type: 'inventory',
+      productId: product.id,
+      title: product.title,
+      inventoryItemId: Number(inventoryItemId),
+      locationId: Number(locationId),
+      before: available,
+      after: 0
+    });
+    changed++;
+  }
+
+  return changed;
+}
+
+// RESOLVE EXISTING PRODUCT - Human resolutions from the plan win over automatic matching
+function resolveExistingProduct(existingProducts, identities, key, productGroup, resolutions) {
+  const resolution = resolutions[key];
+  if (resolution === 'create') return {};
+  if (resolution) {
+    const product = existingProducts.find(p => String(p.id) === String(resolution));
+    if (product) return { product, method: 'resolved' };
+  }
+  return matchProduct(existingProducts, identities, key, productGroup);
+}
+
+// BUILD SYNC PLAN - What a sync would create or change, per group, without writing anything
+async function buildSyncPlan(shopify, existingProducts, identities, productGroups, resolutions, locationContext, inventoryMode, templates, collectionRules) {
+  const existingCollections = await getExistingCollections(shopify);
+  const findCollection = title => existingCollections.find(c => c.title.toLowerCase() === title.toLowerCase());
+  const { smartCollections: definitions } = collectionRules.config;
+
+  const smartCollections = {
+    create: definitions.filter(definition => !findCollection(definition.title)).map(definition => definition.title),
+    update: definitions.filter(definition => {
+      const current = findCollection(definition.title);
+      return current?.kind === 'smart' && !sameRules(current, smartCollectionRules(definition));
+    }).map(definition => definition.title)
+  };
+  const newCollections = [...getNeededCollections(productGroups)]
+    .filter(name => !findCollection(name) && !smartCollections.create.some(title => title.toLowerCase() === name.toLowerCase()));
+
+  const matches = Object.entries(productGroups).map(([key, productGroup]) =>
+    [key, productGroup, resolveExistingProduct(existingProducts, identities, key, productGroup, resolutions)]
+  );
+  const levels = await currentLevels(shopify, matches.flatMap(([, , match]) => match.product?.variants || []));
+
+  const groups = matches.map(([key, productGroup, match]) => {
+    if (match.conflict) {
+      return { key, title: productGroup.seoTitle, action: 'conflict', candidates: match.conflict, variants: [] };
+    }
+    return {
+      ...planProductGroup(key, productGroup, match.product, inventoryMode, templates, locationContext, levels),
+      matchedBy: match.method || null
+    };
+  });
+
+  // Sheet location names with no Shopify location of the same name
+  const unmappedLocations = [...new Set(Object.values(productGroups).flatMap(productGroup =>
+    variantStock(productGroup).flatMap(stock => Object.keys(stock.locations || {}))
+  ))].filter(name => !locationFor(locationContext, name));
+
+  return {
+    groups,
+    newCollections,
+    smartCollections,
+    inventory: {
+      mode: inventoryMode,
+      defaultLocation: locationContext.defaultLocation.name,
+      unmappedLocations
+    },
+    summary: {
+      create: groups.filter(group => group.action === 'create').length,
+      update: groups.filter(group => group.action === 'update').length,
+      unchanged: groups.filter(group => group.action === 'unchanged').length,
+      conflict: groups.filter(group => group.action === 'conflict').length
+    }
+  };
+}
+
+// CURRENT LEVELS - Stock by "inventoryItemId:locationId" for the plan, read for the matched
+// variants only (the GraphQL snapshot cannot carry stock levels)
+async function currentLevels(shopify, variants) {
+  const inventoryItemIds = [...new Set(variants.map(variant => variant.inventory_item_id).filter(Boolean))];
+  return inventoryItemIds.length > 0 ? getInventoryLevels(shopify, inventoryItemIds) : {};
+}
+
+// PLAN PRODUCT GROUP - Field-level and per-variant before/after for one group
+function planProductGroup(key, productGroup, existingProduct, inventoryMode, templates, locationContext, levels) {
+  const newVariants = createEnhancedVariants(productGroup);
+  const newTags = createProductTags(productGroup);
+
+  // Stock the sync writes at each location it touches, and what those locations hold now; sheet
+  // locations with no Shopify location are left out, as the sync leaves them out
+  const plannedStock = (variant, existingVariant) => {
+    const stock = variantStock(productGroup).find(line => line.option1 === variant.option1 && line.option2 === variant.option2);
+    const quantity = { before: existingVariant ? 0 : null, after: 0 };
+
+    Object.entries(stock?.locations || { '': stock?.quantity ?? 0 }).forEach(([name, sheetQuantity]) => {
+      const location = locationFor(locationContext, name);
+      if (!location) return;
+      const current = existingVariant ? levels[`${existingVariant.inventory_item_id}:${location.id}`] ?? 0 : 0;
+      if (existingVariant) quantity.before += current;
+      quantity.after += inventoryMode === 'adjust' ? current + sheetQuantity : sheetQuantity;
+    });
+
+    return quantity;
+  };
+
+  if (!existingProduct) {
+    return {
+      key,
+      title: productGroup.seoTitle,
+      action: 'create',
+      handle: createSEOHandle(productGroup.seoTitle),
+      tags: newTags,
+      collections: productGroup.collections || [],
+      variants: newVariants.map(variant => ({
+        option: `${variant.option1} / ${variant.option2}`,
+        action: 'create',
+        sku: { before: null, after: variant.sku },
+        price: { before: null, after: String(variant.price) },
+        compareAtPrice: { before: null, after: variant.compare_at_price ? String(variant.compare_at_price) : null },
+        quantity: plannedStock(variant, null)
+      }))
+    };
+  }
+
+  const fields = {};
+  if (existingProduct.title !== productGroup.seoTitle) {
+    fields.title = { before: existingProduct.title, after: productGroup.seoTitle };
+  }
+
+  const splitTags = tags => (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  const beforeTags = splitTags(existingProduct.tags);
+  const afterTags = splitTags(newTags);
+  const addedTags = afterTags.filter(tag => !beforeTags.includes(tag));
+  const removedTags = beforeTags.filter(tag => !afterTags.includes(tag));
+  if (addedTags.length > 0 || removedTags.length > 0) {
+    fields.tags = { added: addedTags, removed: removedTags };
+  }
+
+  const squash = html => (html || '').replace(/\s+/g, ' ').trim();
+  if (squash(existingProduct.body_html) !== squash(createEnhancedProductDescription(productGroup, templates))) {
+    fields.description = { changed: true };
+  }
+
+  const variants = newVariants.map(newVariant => {
+    const existingVariant = (existingProduct.variants || []).find(v =>
+      v.option1 === newVariant.option1 && v.option2 === newVariant.option2
+    );
+    const compareAfter = newVariant.compare_at_price ? String(newVariant.compare_at_price) : null;
+
+    if (!existingVariant) {
+      return {
+        option: `${newVariant.option1} / ${newVariant.option2}`,
+        action: 'create',
+        sku: { before: null, after: newVariant.sku },
+        price: { before: null, after: String(newVariant.price) },
+        compareAtPrice: { before: null, after: compareAfter },
+        quantity: plannedStock(newVariant, null)
+      };
+    }
+
+    const change = {
+      option: `${newVariant.option1} / ${newVariant.option2}`,
+      variantId: existingVariant.id,
+      sku: { before: existingVariant.sku, after: newVariant.sku },
+      price: { before: existingVariant.price, after: String(newVariant.price) },
+      compareAtPrice: { before: existingVariant.compare_at_price || null, after: compareAfter },
+      quantity: plannedStock(newVariant, existingVariant)
+    };
+    const changed = ['sku', 'price', 'quantity'].some(field => String(change[field].before) !== String(change[field].after)) ||
+      Number(change.compareAtPrice.before || 0) !== Number(change.compareAtPrice.after || 0);
+    change.action = changed ? 'update' : 'unchanged';
+    return change;
+  });
+
+  const hasChanges = Object.keys(fields).length > 0 || variants.some(variant => variant.action !== 'unchanged');
+
+  return {
+    key,
+    title: productGroup.seoTitle,
+    action: hasChanges ? 'update' : 'unchanged',
+    productId: existingProduct.id,
+    matchedTitle: existingProduct.title,
+    fields,
+    collections: productGroup.collections || [],
+    variants,
+    // Existing variants the sheet no longer has - zeroed when a reconcile policy is chosen
+    droppedVariants: droppedVariants(existingProduct, productGroup)
+      .map(existing => [existing.option1, existing.option2].filter(Boolean).join(' / '))
+  };
+}
+
+// GET ALL EXISTING PRODUCTS WITH PAGINATION
+async function getAllExistingProducts(shopify) {
+  const allProducts = await shopify.getAll('products.json', 'products');
+
+  console.log(`Found ${allProducts.length} existing products`);
+  return allProducts;
+}
+
+// GET ALL UNIQUE COLLECTIONS NEEDED BY THE GROUPS
+function getNeededCollections(productGroups) {
+  const neededCollections = new Set();
+  Object.values(productGroups).forEach(group => {
+    if (group.collections) {
+      group.collections.forEach(collection => neededCollections.add(collection));
+    }
+  });
+  return neededCollections;
+}
+
+// GET EXISTING COLLECTIONS - Custom and smart collections, every page of each
+async function getExistingCollections(shopify) {
+  const custom = await shopify.getAll('custom_collections.json', 'custom_collections');
+  const smart = await shopify.getAll('smart_collections.json', 'smart_collections');
+  return [
+    ...custom.map(collection => ({ ...collection, kind: 'custom' })),
+    ...smart.map(collection => ({ ...collection, kind: 'smart' }))
+  ];
+}
+
+// SETUP COLLECTIONS - Create or update the configured smart collections, then create the manual
+// collections the groups name. Returns custom collection ids by lowercase name, the smart
+// collection ids and the managed ids that memberships are reconciled against.
+async function setupCollections(shopify, productGroups, collectionRules, results, changes = []) {
+  console.log('Setting up collections...');
+
+  const existingCollections = await getExistingCollections(shopify);
+  const findCollection = title => existingCollections.find(c => c.title.toLowerCase() === title.toLowerCase());
+
+  // Smart collections first - Shopify fills them from their rules, so a group name that matches
+  // one gets no manual collection
+  for (const definition of collectionRules.config.smartCollections) {
+    const wanted = smartCollectionRules(definition);
+    const current = findCollection(definition.title);
+
+    try {
+      if (!current) {
+        const { data } = await shopify.post('smart_collections.json', {
+          smart_collection: {
+            title: definition.title,
+            handle: collectionHandle(definition.title),
+            published: true,
+            sort_order: 'best-selling',
+            ...wanted
+          }
+        });
+        existingCollections.push({ ...data.smart_collection, kind: 'smart' });
+        changes.push({ type: 'smart-collection-created', collectionId: data.smart_collection.id, title: definition.title });
+        results.collectionsCreated++;
+        results.details.push(`📁 Smart collection created: ${definition.title}`);
+      } else if (current.kind === 'custom') {
+        results.details.push(`⚠️ Smart collection ${definition.title} skipped - a manual collection already has that name`);
+      } else if (!sameRules(current, wanted)) {
+        await shopify.put(`smart_collections/${current.id}.json`, { smart_collection: { id: current.id, ...wanted } });
+        changes.push({
+          type: 'smart-collection-updated',
+          collectionId: current.id,
+          title: definition.title,
+          before: { rules: current.rules, disjunctive: Boolean(current.disjunctive) }
+        });
+        results.smartCollectionsUpdated++;
+        results.details.push(`📁 Smart collection rules updated: ${definition.title}`);
+      }
+    } catch (error) {
+      results.details.push(`⚠️ Smart collection ${definition.title} not saved: ${error.message}`);
+      console.error(`Error saving smart collection ${definition.title}:`, error);
+    }
+  }
+
+  // Create missing manual collections
+  for (const collectionName of getNeededCollections(productGroups)) {
+    if (findCollection(collectionName)) continue;
+
+    try {
+      const collectionData = {
+        custom_collection: {
+          title: collectionName,
+          handle: collectionHandle(collectionName),
+          published: true,
+          sort_order: 'best-selling'
+        }
+      };
+
+      const { data: newCollection } = await shopify.post('custom_collections.json', collectionData);
+      existingCollections.push({ ...newCollection.custom_collection, kind: 'custom' });
+      changes.push({ type: 'collection-created', collectionId: newCollection.custom_collection.id, title: collectionName });
+      results.collectionsCreated++;
+      console.log(`Created collection: ${collectionName}`);
+    } catch (error) {
+      console.error(`Error creating collection ${collectionName}:`, error);
+    }
+  }
+
+  const byName = {};
+  existingCollections.filter(c => c.kind === 'custom').forEach(collection => {
+    byName[collection.title.toLowerCase()] = collection.id;
+  });
+
+  // Collections assigned by name now or by an earlier run are the ones products can be taken out of
+  const namedIds = [...getNeededCollections(productGroups)].map(name => byName[name.toLowerCase()]).filter(Boolean);
+  try {
+    await saveManagedCollections(collectionRules, namedIds);
+  } catch (error) {
+    console.error('Managed collections not saved:', error.message);
+  }
+
+  return {
+    byName,
+    smartIds: existingCollections.filter(c => c.kind === 'smart').map(c => c.id),
+    managedIds: [...new Set([...collectionRules.managed, ...namedIds].map(Number))]
+  };
+}
+
+// CREATE NEW PRODUCT WITH ENHANCED FEATURES
+async function createNewProductEnhanced(shopify, productGroup, collections, templates, changes = []) {
+  const variants = createEnhancedVariants(productGroup);
+  
+  // Create option values from variants
+  const colorOptions = [...new Set(variants.map(v => v.option1))];
+  const conditionOptions = [...new Set(variants.map(v => v.option2))];
+
+  const productData = {
+    product: {
+      title: productGroup.seoTitle,
+      body_html: createEnhancedProductDescription(productGroup, templates),
+      vendor: productVendor(productGroup),
+      product_type: productGroup.productType,
+      status: 'active',
+      handle: createSEOHandle(productGroup.seoTitle),
+      options: [
+        {
+          name: 'Color',
+          values: colorOptions
+        },
+        {
+          name: 'Condition',
+          values: conditionOptions
+        }
+      ],
+      variants: variants,
+      tags: createProductTags(productGroup),
+      metafields: createProductMetafields(productGroup),
+      seo_title: productGroup.seoTitle,
+      seo_description: createSEODescription(productGroup, templates)
+    }
+  };
+
+  const { data: createdProduct } = await shopify.post('products.json', productData);
+  changes.push({ type: 'product-created', productId: createdProduct.product.id });
+  
+  // Add product to collections
+  await syncCollectionMembership(shopify, createdProduct.product.id, productGroup, collections, changes, true);
+  
+  return createdProduct;
+}
+
+// UPSERT PRODUCT GROUP (GRAPHQL) - Create or update the product, its variants and collections in one productSet
+async function upsertProductGroupGraphQL(shopify, productGroup, existingProduct, collections, templates, currentIdentity, changes = []) {
+  // productSet replaces the product's collections: hand-made memberships stay, stale managed ones
+  // go, and smart collections are left out because Shopify assigns those from their rules
+  const currentIds = (existingProduct?.collectionGids || []).map(gid => gid.split('/').pop());
+  const { add, remove } = membershipChanges(currentIds, collectionIdsFor(productGroup, collections), collections.managedIds);
+  const smartIds = collections.smartIds.map(String);
+  const collectionGids = [...currentIds.filter(id => !remove.includes(id)), ...add]
+    .filter(id => !smartIds.includes(id))
+    .map(id => toGid('Collection', id));
+
+  const input = buildProductSetInput({
+    title: productGroup.seoTitle,
+    handle: createSEOHandle(productGroup.seoTitle),
+    descriptionHtml: createEnhancedProductDescription(productGroup, templates),
+    vendor: productVendor(productGroup),
+    productType: productGroup.productType,
+    tags: createProductTags(productGroup).split(', '),
+    seoDescription: createSEODescription(productGroup, templates),
+    metafields: createProductMetafields(productGroup),
+    variants: createEnhancedVariants(productGroup)
+  }, existingProduct, collectionGids);
+
+  const product = await productSet(shopify, input);
+  console.log(`${existingProduct ? 'Updated' : 'Created'} product via productSet: ${productGroup.seoTitle}`);
+
+  if (!existingProduct) {
+    changes.push({ type: 'product-created', productId: product.id });
+    return product;
+  }
+
+  const fields = diffFields(existingProduct, { title: input.title, body_html: input.descriptionHtml, tags: input.tags.join(', ') }, PRODUCT_FIELDS);
+  if (Object.keys(fields).length > 0) {
+    changes.push({ type: 'product-updated', productId: product.id, fields });
+  }
+  const identity = identityChange(product.id, currentIdentity, productGroup.groupKey);
+  if (identity) changes.push(identity);
+  add.forEach(id => changes.push({ type: 'collect-created', productId: product.id, collectionId: Number(id) }));
+  remove.forEach(id => changes.push({ type: 'collect-removed', productId: product.id, collectionId: Number(id) }));
+  product.variants.forEach(variant => {
+    const existingVariant = existingProduct.variants.find(existing => existing.id === variant.id);
+    if (!existingVariant) {
+      changes.push({ type: 'variant-created', productId: product.id, variantId: variant.id });
+      return;
+    }
+    const variantFields = diffFields(existingVariant, variant, VARIANT_FIELDS);
+    if (Object.keys(variantFields).length > 0) {
+      changes.push({ type: 'variant-updated', productId: product.id, variantId: variant.id, fields: variantFields });
+    }
+  });
+
+  return product;
+}
+
+// CREATE ENHANCED VARIANTS
+function createEnhancedVariants(productGroup) {
+  const variants = [];
+  
+  // Create variants from the enhanced variant structure
+  Object.values(productGroup.variants || {}).forEach(variant => {
+    const { color, condition } = variant;
+    
+    variants.push({
+      title: `${color} - Grade ${condition}`,
+      option1: color,
+      option2: `Grade ${condition}`,
+      inventory_management: 'shopify',
+      inventory_policy: 'deny',
+      sku: generateEnhancedSKU(productGroup, color, condition),
+      price: variant.price ?? calculateVariantPrice(productGroup, condition),
+      compare_at_price: variant.compareAtPrice !== undefined ? variant.compareAtPrice : calculateComparePrice(productGroup, condition),
+      weight: estimateWeight(productGroup),
+      weight_unit: 'kg',
+      requires_shipping: true,
+      taxable: true,
+      fulfillment_service: 'manual'
+    });
+  });
+
+  // If no variants exist, create a default one
+  if (variants.length === 0) {
+    variants.push({
+      title: 'Default - Grade A',
+      option1: 'Default',
+      option2: 'Grade A',
+      inventory_management: 'shopify',
+      inventory_policy: 'deny',
+      sku: generateEnhancedSKU(productGroup, 'Default', 'A'),
+      price: productGroup.basePrice || DEFAULT_PRICING.defaultPrice,
+      weight: estimateWeight(productGroup),
+      weight_unit: 'kg',
+      requires_shipping: true,
+      taxable: true
+    });
+  }
+
+  return variants;
+}
+
+// COUNT UNITS - Variant quantities carry per-row Qty columns, items are one per row
+function countUnits(productGroup) {
+  const variants = Object.values(productGroup.variants || {});
+  if (variants.length > 0) {
+    return variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+  }
+  return productGroup.items?.length || 0;
+}
+
+// VARIANT STOCK - Units per variant, split by sheet location name when the sheet has a location column
+function variantStock(productGroup) {
+  const variants = Object.values(productGroup.variants || {});
+  if (variants.length === 0) {
+    return [{ option1: 'Default', option2: 'Grade A', quantity: countUnits(productGroup), locations: null }];
+  }
+
+  return variants.map(variant => ({
+    option1: variant.color,
+    option2: `Grade ${variant.condition}`,
+    quantity: variant.quantity || 0,
+    locations: variant.locations || null
+  }));
+}
+
+// GET LOCATIONS - Active locations that can hold inventory
+async function getLocations(shopify) {
+  const { data } = await shopify.get('locations.json');
+  return (data.locations || []).filter(location => location.active !== false);
+}
+
+// RESOLVE LOCATIONS - Default location for rows without one, plus sheet name → location lookup
+async function resolveLocations(shopify, locationId, primaryLocationId) {
+  const locations = await getLocations(shopify);
+  const wanted = locationId || primaryLocationId;
+  const defaultLocation = locations.find(location => String(location.id) === String(wanted)) ||
+    (!locationId ? locations[0] : null);
+
+  if (!defaultLocation) {
+    const error = new Error(locationId ? `Location ${locationId} not found or inactive` : 'The store has no active locations');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const byName = {};
+  locations.forEach(location => {
+    byName[location.name.trim().toLowerCase()] = location;
+  });
+
+  return { defaultLocation, byName };
+}
+
+function locationFor(locationContext, name) {
+  if (!name) return locationContext.defaultLocation;
+  return locationContext.byName[name.trim().toLowerCase()] || null;
+}
+
+// GET INVENTORY LEVELS - Current available quantity keyed by "inventoryItemId:locationId"
+async function getInventoryLevels(shopify, inventoryItemIds) {
+  const levels = {};
+
+  // The endpoint takes at most 50 inventory items per call
+  for (let i = 0; i < inventoryItemIds.length; i += 50) {
+    const ids = inventoryItemIds.slice(i, i + 50).join(',');
+    const inventoryLevels = await shopify.getAll(`inventory_levels.json?inventory_item_ids=${ids}`, 'inventory_levels');
+    inventoryLevels.forEach(level => {
+      levels[`${level.inventory_item_id}:${level.location_id}`] = level.available;
+    });
+  }
+
+  return levels;
+}
+
+// INVENTORY TARGETS - Variant, location and sheet quantity for every stock line of a group.
+// Only locations the sheet mentions (or the default location) are touched.
+function inventoryTargets(key, productGroup, shopifyVariants, locationContext, results) {
+  const targets = [];
+
+  variantStock(productGroup).forEach(stock => {
+    const variant = (shopifyVariants || []).find(v => v.option1 === stock.option1 && v.option2 === stock.option2);
+    const option = `${stock.option1} / ${stock.option2}`;
+    if (!variant?.inventory_item_id) {
+      results.details.push(`⚠️ Inventory not updated for ${productGroup.seoTitle} (${option}): variant has no inventory item`);
+      return;
+    }
+
+    const perLocation = stock.locations || { '': stock.quantity };
+    Object.entries(perLocation).forEach(([name, quantity]) => {
+      const location = locationFor(locationContext, name);
+      if (!location) {
+        results.unmappedLocations.push({ key, product: productGroup.seoTitle, option, location: name, quantity });
+        return;
+      }
+      targets.push({ variant, option, location, quantity });
+    });
+  });
+
+  return targets;
+}
+
+function inventoryEntry(key, productGroup, target, inventoryMode, before) {
+  return {
+    key,
+    product: productGroup.seoTitle,
+    option: target.option,
+    sku: target.variant.sku,
+    location: target.location.name,
+    mode: inventoryMode,
+    before: before ?? null,
+    after: before ?? null
+  };
+}
+
+// Audit record for one stock line; undo adjusts by before - after
+function inventoryChange(target, entry) {
+  return {
+    type: 'inventory',
+    inventoryItemId: target.variant.inventory_item_id,
+    locationId: target.location.id,
+    location: target.location.name,
+    option: target.option,
+    before: entry.before,
+    after: entry.after
+  };
+}
+
+// SYNC INVENTORY LEVELS - Set or adjust available stock per variant per location, recording before/after
+async function syncInventoryLevels(shopify, key, productGroup, shopifyVariants, locationContext, inventoryMode, results, changes = []) {
+  const targets = inventoryTargets(key, productGroup, shopifyVariants, locationContext, results);
+  if (targets.length === 0) return;
+
+  const levels = await getInventoryLevels(shopify, [...new Set(targets.map(target => target.variant.inventory_item_id))]);
+
+  for (const target of targets) {
+    const { variant, option, location, quantity } = target;
+    const before = levels[`${variant.inventory_item_id}:${location.id}`];
+    const entry = inventoryEntry(key, productGroup, target, inventoryMode, before);
+
+    try {
+      // Items not stocked at the location yet get a level set, which also connects them
+      const adjusting = inventoryMode === 'adjust' && before !== undefined;
+      const unchanged = adjusting ? quantity === 0 : before === quantity;
+
+      if (!unchanged) {
+        const { data } = await shopify.post(`inventory_levels/${adjusting ? 'adjust' : 'set'}.json`, adjusting
+          ? { location_id: location.id, inventory_item_id: variant.inventory_item_id, available_adjustment: quantity }
+          : { location_id: location.id, inventory_item_id: variant.inventory_item_id, available: quantity });
+        entry.after = data.inventory_level?.available ?? null;
+        changes.push(inventoryChange(target, entry));
+      }
+    } catch (error) {
+      entry.error = error.message;
+      results.details.push(`⚠️ Inventory not updated for ${productGroup.seoTitle} (${option}) at ${location.name}: ${error.message}`);
+    }
+
+    results.inventory.push(entry);
+  }
+}
+
+// SYNC INVENTORY LEVELS (GRAPHQL) - Same report, but every change for the group goes out in one mutation
+async function syncInventoryLevelsGraphQL(shopify, key, productGroup, shopifyVariants, locationContext, inventoryMode, results, changes = []) {
+  const targets = inventoryTargets(key, productGroup, shopifyVariants, locationContext, results);
+  if (targets.length === 0) return;
+
+  let entries = targets.map(target => inventoryEntry(key, productGroup, target, inventoryMode, undefined));
+
+  try {
+    // Read at the locations being written, so before values (and undo) match what is changed
+    const levels = await getLocationLevels(shopify,
+      [...new Set(targets.map(target => target.variant.inventory_item_id))],
+      [...new Set(targets.map(target => target.location.id))]);
+    entries = targets.map(target =>
+      inventoryEntry(key, productGroup, target, inventoryMode, levels[`${target.variant.inventory_item_id}:${target.location.id}`])
+    );
+
+    const after = await applyInventoryChanges(shopify, targets.map((target, index) => ({
+      inventoryItemId: target.variant.inventory_item_id,
+      locationId: target.location.id,
+      quantity: target.quantity,
+      before: entries[index].before
+    })), inventoryMode);
+    entries.forEach((entry, index) => {
+      entry.after = after[index] ?? null;
+      if (entry.after !== entry.before) changes.push(inventoryChange(targets[index], entry));
+    });
+  } catch (error) {
+    entries.forEach(entry => {
+      entry.error = error.message;
+    });
+    results.details.push(`⚠️ Inventory not updated for ${productGroup.seoTitle}: ${error.message}`);
+  }
+
+  results.inventory.push(...entries);
+}
+
+// DROPPED VARIANTS - Variants of a matched product that are no longer in the group
+function droppedVariants(existingProduct, productGroup) {
+  const newVariants = createEnhancedVariants(productGroup);
+  return (existingProduct.variants || []).filter(existing =>
+    !newVariants.some(variant => variant.option1 === existing.option1 && variant.option2 === existing.option2)
+  );
+}
+
+// GENERATE ENHANCED SKU - Readable prefix plus the group's identity hash, so SKUs never collide across groups
+function generateEnhancedSKU(productGroup, color, condition) {
+  const type = (productGroup.productType || 'PROD').replace(/\s+/g, '').substring(0, 4).toUpperCase();
+  const size = (productGroup.displaySize || '').replace(/[^\d]/g, '').substring(0, 2);
+  const proc = (productGroup.processor || 'UNK').replace(/\s+/g, '').substring(0, 3).toUpperCase();
+  const storage = (productGroup.storage || '').replace(/[^\d]/g, '');
+  const hash = identityHash(productGroup.groupKey || productGroup.seoTitle);
+  const conditionCode = condition.substring(0, 1).toUpperCase();
+  
+  return `${type}-${size}${proc}-${storage}-${hash}-${colorCode(color)}${conditionCode}`;
+}
+
+// CALCULATE VARIANT PRICE BASED ON CONDITION
+// Fallback for groups that were not priced by process-excel (variant.price is used when present)
+function calculateVariantPrice(productGroup, condition) {
+  const basePrice = productGroup.basePrice || DEFAULT_PRICING.defaultPrice;
+  return calculateGradePrice(basePrice, condition, DEFAULT_PRICING);
+}
+
+// CALCULATE COMPARE AT PRICE
+function calculateComparePrice(productGroup, condition) {
+  const basePrice = productGroup.basePrice || DEFAULT_PRICING.defaultPrice;
+  return calculateCompareAtPrice(basePrice, condition, DEFAULT_PRICING);
+}
+
+// ESTIMATE WEIGHT FOR SHIPPING - Set from the taxonomy when the file was processed; groups from
+// before that fall back to the default taxonomy
+function estimateWeight(productGroup) {
+  return productGroup.weight ?? typeProfile(DEFAULT_TAXONOMY, productGroup.productType).weight;
+}
+
+function productVendor(productGroup) {
+  return productGroup.vendor || DEFAULT_TAXONOMY.brand;
+}
+
+// CREATE PRODUCT TAGS
+function createProductTags(productGroup) {
+  const tags = ['refurbished', tagSlug(productVendor(productGroup)), 'certified'];
+  
+  // Add product type tag
+  tags.push(tagSlug(productGroup.productType));
+  
+  // Add processor tags
+  if (productGroup.processor && productGroup.processor !== 'Unknown') {
+    tags.push(tagSlug(productGroup.processor));
+    
+    if (productGroup.processor.includes('M1') || productGroup.processor.includes('M2') || productGroup.processor.includes('M3')) {
+      tags.push('apple-silicon');
+    }
+    if (productGroup.processor.includes('Intel')) {
+      tags.push('intel');
+    }
+  }
+  
+  // Add storage tags
+  if (productGroup.storage && productGroup.storage !== 'Unknown') {
+    tags.push(productGroup.storage.toLowerCase());
+  }
+  
+  // Add memory tags
+  if (productGroup.memory && productGroup.memory !== 'Unknown') {
+    tags.push(productGroup.memory.toLowerCase().replace('gb', 'gb-ram'));
+  }
+  
+  // Add year tag
+  if (productGroup.year) {
+    tags.push(productGroup.year);
+  }
+  
+  // Add size tag
+  if (productGroup.displaySize) {
+    tags.push(productGroup.displaySize.toLowerCase().replace(/\s+/g, '-'));
+  }
+  
+  return tags.join(', ');
+}
+
+// CREATE PRODUCT METAFIELDS FOR ADDITIONAL DATA
+function createProductMetafields(productGroup) {
+  const metafields = [
+    {
+      namespace: 'custom',
+      key: 'processor',
+      value: productGroup.processor,
+      type: 'single_line_text_field'
+    },
+    {
+      namespace: 'custom',
+      key: 'display_size',
+      value: productGroup.displaySize,
+      type: 'single_line_text_field'
+    },
+    {
+      namespace: 'custom',
+      key: 'year',
+      value: productGroup.year || 'N/A',
+      type: 'single_line_text_field'
+    },
+    {
+      namespace: 'custom',
+      key: 'chip',
+      value: productGroup.chip,
+      type: 'single_line_text_field'
+    },
+    {
+      namespace: 'custom',
+      key: 'cpu_cores',
+      value: productGroup.cpuCores?.toString(),
+      type: 'number_integer'
+    },
+    {
+      namespace: 'custom',
+      key: 'gpu_cores',
+      value: productGroup.gpuCores?.toString(),
+      type: 'number_integer'
+    },
+    {
+      namespace: 'custom',
+      key: 'keyboard_layout',
+      value: productGroup.keyboard,
+      type: 'single_line_text_field'
+    },
+    {
+      namespace: 'custom',
+      key: 'total_units',
+      value: countUnits(productGroup).toString(),
+      type: 'number_integer'
+    }
+  ];
+
+  if (productGroup.groupKey) {
+    metafields.push(identityMetafield(productGroup.groupKey));
+  }
+
+  // Shopify rejects metafields with blank values
+  return metafields.filter(metafield => metafield.value);
+}
+
+// CREATE SEO-OPTIMIZED HANDLE
+function createSEOHandle(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special chars except spaces and hyphens
+    .replace(/\s+/g, '-')         // Replace spaces with hyphens
+    .replace(/-+/g, '-')          // Replace multiple hyphens with single
+    .replace(/^-|-$/g, '')        // Remove leading/trailing hyphens
+    .substring(0, 255);           // Shopify handle limit
+}
+
+// CREATE SEO DESCRIPTION - From the product type's description template
+function createSEODescription(productGroup, templates = DEFAULT_TEMPLATES, locale = PRIMARY_LOCALE) {
+  return renderDescription(productGroup, countUnits(productGroup), templates, locale).seoDescription;
+}
+
+// CREATE ENHANCED PRODUCT DESCRIPTION - Body HTML from the product type's description template
+function createEnhancedProductDescription(productGroup, templates = DEFAULT_TEMPLATES, locale = PRIMARY_LOCALE) {
+  return renderDescription(productGroup, countUnits(productGroup), templates, locale).body;
+}
+
+// Manual collection ids for the collection names on a group
+function collectionIdsFor(productGroup, collections) {
+  return (productGroup.collections || []).map(name => collections.byName[name.toLowerCase()]).filter(Boolean);
+}
+
+// SYNC COLLECTION MEMBERSHIP - Collect the product into its group's collections it is not in yet
+// and out of managed collections it no longer belongs to. A new product has no collects to read.
+async function syncCollectionMembership(shopify, productId, productGroup, collections, changes = [], isNew = false) {
+  const collects = isNew ? [] : await shopify.getAll(`collects.json?product_id=${productId}`, 'collects');
+  const { add, remove } = membershipChanges(
+    collects.map(collect => collect.collection_id), collectionIdsFor(productGroup, collections), collections.managedIds
+  );
+
+  for (const collectionId of add) {
+    try {
+      const collectData = {
+        collect: {
+          product_id: productId,
+          collection_id: Number(collectionId)
+        }
+      };
+
+      const { data } = await shopify.post('collects.json', collectData);
+      changes.push({ type: 'collect-created', productId, collectionId: Number(collectionId), collectId: data.collect?.id });
+    } catch (error) {
+      // 422 means the product is already in the collection
+      if (error.shopifyStatus === 422) continue;
+      console.error(`Error adding product to collection ${collectionId}:`, error);
+    }
+  }
+
+  for (const collectionId of remove) {
+    const collect = collects.find(entry => String(entry.collection_id) === collectionId);
+    try {
+      await shopify.del(`collects/${collect.id}.json`);
+      changes.push({ type: 'collect-removed', productId, collectionId: Number(collectionId) });
+    } catch (error) {
+      console.error(`Error removing product from collection ${collectionId}:`, error);
+    }
+  }
+}
+
+// COLLECT UNIT LISTINGS - Match each serialized unit to the variant for its color and grade
+function collectUnitListings(productGroup, groupKey, productId, variants, storeUrl) {
+  return (productGroup.items || [])
+    .filter(item => item.serial)
+    .map(item => {
+      const variant = (variants || []).find(v =>
+        v.option1 === (item.color || 'Default') && v.option2 === `Grade ${item.grade || 'A'}`
+      );
+
+      return {
+        serial: item.serial,
+        sheet: item.sheet,
+        row: item.row,
+        grade: item.grade,
+        color: item.color,
+        groupKey,
+        title: productGroup.seoTitle,
+        shopify: {
+          storeUrl,
+          groupKey,
+          productId,
+          variantId: variant?.id || null,
+          sku: variant?.sku || null,
+          title: productGroup.seoTitle
+        }
+      };
+    });
+}
+
+// IDENTITY CHANGE - Audit record for writing the group key onto a matched product: none when it
+// already carried the key, the key it carried before when another group's, so undo puts that back
+function identityChange(productId, currentIdentity, groupKey) {
+  if (!groupKey || currentIdentity === groupKey) return null;
+  const change = { productId, namespace: IDENTITY_NAMESPACE, key: IDENTITY_KEY };
+  return currentIdentity
+    ? { type: 'metafield-updated', ...change, before: currentIdentity, after: groupKey }
+    : { type: 'metafield-created', ...change };
+}
+
+// REKEY IDENTITY - A product can hold one metafield per namespace/key, so one already carrying
+// another group's key has that metafield updated by id instead of sent again with the product
+async function rekeyIdentity(shopify, productId, groupKey) {
+  const { data } = await shopify.get(`products/${productId}/metafields.json?namespace=${IDENTITY_NAMESPACE}&key=${IDENTITY_KEY}`);
+  const metafield = data.metafields?.[0];
+  if (metafield) {
+    await shopify.put(`products/${productId}/metafields/${metafield.id}.json`, { metafield: { id: metafield.id, value: groupKey } });
+  } else {
+    await shopify.post(`products/${productId}/metafields.json`, { metafield: identityMetafield(groupKey) });
+  }
+}
+
+// UPDATE EXISTING PRODUCT
+async function updateExistingProductEnhanced(shopify, existingProduct, productGroup, collections, templates, currentIdentity, changes = []) {
+  // Update product details
+  const updateData = {
+    product: {
+      id: existingProduct.id,
+      title: productGroup.seoTitle,
+      body_html: createEnhancedProductDescription(productGroup, templates),
+      tags: createProductTags(productGroup),
+      seo_title: productGroup.seoTitle,
+      seo_description: createSEODescription(productGroup, templates)
+    }
+  };
+
+  // Products matched by SKU, title or a human resolution get the identity metafield from now on;
+  // products already carrying this group key are left alone
+  const rekeying = productGroup.groupKey && currentIdentity !== productGroup.groupKey;
+  if (rekeying && !currentIdentity) {
+    updateData.product.metafields = [identityMetafield(productGroup.groupKey)];
+  }
+  
+  await shopify.put(`products/${existingProduct.id}.json`, updateData);
+  if (rekeying && currentIdentity) {
+    await rekeyIdentity(shopify, existingProduct.id, productGroup.groupKey);
+  }
+  const productFields = diffFields(existingProduct, updateData.product, PRODUCT_FIELDS);
+  if (Object.keys(productFields).length > 0) {
+    changes.push({ type: 'product-updated', productId: existingProduct.id, fields: productFields });
+  }
+  const identity = identityChange(existingProduct.id, currentIdentity, productGroup.groupKey);
+  if (identity) changes.push(identity);
+  
+  // Update variants inventory
+  const newVariants = createEnhancedVariants(productGroup);
+  const syncedVariants = [];
+  
+  for (const newVariant of newVariants) {
+    // Find matching existing variant
+    const existingVariant = existingProduct.variants.find(v => 
+      v.option1 === newVariant.option1 && v.option2 === newVariant.option2
+    );
+    
+    if (existingVariant) {
+      // Update existing variant
+      const variantUpdateData = {
+        variant: {
+          id: existingVariant.id,
+          price: newVariant.price,
+          compare_at_price: newVariant.compare_at_price,
+          sku: newVariant.sku
+        }
+      };
+      
+      await shopify.put(`variants/${existingVariant.id}.json`, variantUpdateData);
+      const variantFields = diffFields(existingVariant, variantUpdateData.variant, VARIANT_FIELDS);
+      if (Object.keys(variantFields).length > 0) {
+        changes.push({ type: 'variant-updated', productId: existingProduct.id, variantId: existingVariant.id, fields: variantFields });
+      }
+      syncedVariants.push({ ...existingVariant, sku: newVariant.sku });
+    } else {
+      // Create new variant
+      const variantCreateData = {
+        variant: {
+          ...newVariant,
+          product_id: existingProduct.id
+        }
+      };
+      
+      const { data: created } = await shopify.post(`products/${existingProduct.id}/variants.json`, variantCreateData);
+      changes.push({ type: 'variant-created', productId: existingProduct.id, variantId: created.variant.id });
+      syncedVariants.push(created.variant);
+    }
+  }
+  
+  // Update collections
+  await syncCollectionMembership(shopify, existingProduct.id, productGroup, collections, changes);
+  
+  console.log(`Updated product: ${productGroup.seoTitle}`);
+  return syncedVariants;
+}
+
+module.exports = {
+  RECONCILE_POLICIES,
+  SYNC_ENGINES,
+  resolveSyncOptions,
+  storeOptions,
+  connect,
+  getLocations,
+  prepareSync,
+  planSync,
+  beginSync,
+  createSyncState,
+  syncProductGroup,
+  finishSync,
+  // Listing builders, shared with the CSV export so a file import matches what a sync writes
+  createEnhancedVariants,
+  variantStock,
+  countUnits,
+  createProductTags,
+  createProductMetafields,
+  createSEOHandle,
+  createSEODescription,
+  createEnhancedProductDescription,
+  productVendor
+};
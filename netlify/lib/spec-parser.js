@@ -0,0 +1,105 @@
+// Screen sizes Apple names its models by, used to reject numbers that are not sizes
+const KNOWN_DISPLAY_SIZES = new Set(['7.9', '8.3', '9.7', '10.2', '10.5', '10.9', '11', '12', '12.9', '13', '14', '15', '16', '17', '20', '21.5', '24', '27']);
+// Exact diagonals Apple's model names round to ("MacBook Air (13-inch, M2)" is 13.6), so every row of
+// a model lands in the same group as the catalog's
+const CATALOG_SIZE = { '13.3': '13', '13.6': '13', '14.2': '14', '15.3': '15', '15.4': '15', '16.2': '16', '23.5': '24' };
+
+const SIZE_WITH_UNIT = /(\d{1,2}(?:\.\d)?)\s*(?:"|''|”|″|-?\s*inch(?:es)?\b|-?\s*in\b)/i;
+const SIZE_AFTER_NAME = /\b(?:macbook(?:\s+(?:pro|air))?|mbp|mba|imac|ipad(?:\s+(?:pro|air|mini))?)\s+(?!(?:19|20)\d\d\b)(\d{1,2}(?:\.\d)?)(?!\d)(?!\s*(?:gb|tb|th|st|nd|rd|gen|core|c\b))/i;
+// Fractional sizes are distinctive enough to trust without an inch mark (iPad Air 10.9, MacBook Air 13.6)
+const KNOWN_FRACTIONAL_SIZE = /\b(7\.9|8\.3|9\.7|10\.[259]|12\.9|13\.[36]|14\.2|15\.[34]|16\.2|21\.5|23\.5)\b(?!\s*(?:gb|tb|ghz))/i;
+const YEAR = /\b(20[0-3]\d)\b/;
+const APPLE_CHIP = /\bM([1-9])(?:\s*(Pro|Max|Ultra))?\b/i;
+const INTEL_CHIP = /\b(?:intel\s*)?(?:core\s*)?i([3579])(?:[-\s]?(\d{4,5})([a-z]{0,2}\d?))?\b/i;
+const GENERATION = /\b(\d{1,2})(?:st|nd|rd|th)\s*gen(?:eration)?\b/i;
+const CPU_CORES = /\b(\d{1,2})\s*-?\s*(?:c|core)\s*(?:cpu)\b/i;
+const GPU_CORES = /\b(\d{1,2})\s*-?\s*(?:c|core)\s*(?:gpu)\b/i;
+const ANY_CORES = /\b(\d{1,2})\s*-?\s*(?:c|core)\b(?!\s*(?:gpu|i[3579]\b))/i;
+
+// DISPLAY SIZE - "13.6" becomes "13-inch" as the catalog names it; null when it is no size Apple sells
+function displaySize(value) {
+  const size = String(parseFloat(value));
+  const named = CATALOG_SIZE[size] || size;
+  return KNOWN_DISPLAY_SIZES.has(named) ? `${named}-inch` : null;
+}
+
+// INTEL GENERATION - i7-8850H is 8th gen, i7-10750H and i5-1030NG7 are 10th gen
+function intelGeneration(modelNumber, suffix) {
+  if (!modelNumber) return null;
+  if (modelNumber.length === 5 || /g/i.test(suffix || '')) {
+    return parseInt(modelNumber.substring(0, 2), 10);
+  }
+  return parseInt(modelNumber[0], 10);
+}
+
+// PARSE SPECS - Pull structured specs out of free-text model/description strings
+function parseSpecs(...texts) {
+  const text = texts.filter(Boolean).join(' ').replace(/\s+/g, ' ');
+  const specs = {};
+
+  const sizeMatch = text.match(SIZE_WITH_UNIT) || text.match(SIZE_AFTER_NAME) || text.match(KNOWN_FRACTIONAL_SIZE);
+  const size = sizeMatch && displaySize(sizeMatch[1]);
+  if (size) {
+    specs.displaySize = size;
+  }
+
+  const yearMatch = text.match(YEAR);
+  if (yearMatch) {
+    specs.year = yearMatch[1];
+  }
+
+  const appleChip = text.match(APPLE_CHIP);
+  const intelChip = text.match(INTEL_CHIP);
+  if (appleChip) {
+    const tier = appleChip[2] ? ` ${appleChip[2][0].toUpperCase()}${appleChip[2].slice(1).toLowerCase()}` : '';
+    specs.chipFamily = 'Apple Silicon';
+    specs.chip = `M${appleChip[1]}${tier}`;
+    specs.chipGeneration = parseInt(appleChip[1], 10);
+  } else if (intelChip) {
+    specs.chipFamily = 'Intel';
+    specs.chip = `Intel Core i${intelChip[1]}`;
+    specs.chipGeneration = intelGeneration(intelChip[2], intelChip[3]);
+  }
+
+  // "8th gen" next to an Intel chip is the chip's generation; anywhere else ("iPad Pro 12.9 (5th
+  // generation) M1") it is the device's, and the chip keeps its own
+  const generationMatch = text.match(GENERATION);
+  if (generationMatch) {
+    const generation = parseInt(generationMatch[1], 10);
+    if (specs.chipFamily === 'Intel' && !specs.chipGeneration) {
+      specs.chipGeneration = generation;
+    } else {
+      specs.deviceGeneration = generation;
+    }
+  }
+  if (specs.chipGeneration === null) {
+    delete specs.chipGeneration;
+  }
+
+  const cpuCores = text.match(CPU_CORES) || text.match(ANY_CORES);
+  if (cpuCores) {
+    specs.cpuCores = parseInt(cpuCores[1], 10);
+  }
+
+  const gpuCores = text.match(GPU_CORES);
+  if (gpuCores) {
+    specs.gpuCores = parseInt(gpuCores[1], 10);
+  }
+
+  return specs;
+}
+
+// FILL MISSING SPECS - Keep what a group already has, take the rest from another row
+function mergeSpecs(target, specs) {
+  Object.entries(specs).forEach(([key, value]) => {
+    if (target[key] === undefined || target[key] === null || target[key] === '') {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+module.exports = {
+  parseSpecs,
+  mergeSpecs
+};
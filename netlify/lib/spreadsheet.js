@@ -0,0 +1,109 @@
+const XLSX = require('xlsx');
+
+const TEXT_DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+// DETECT FILE FORMAT - Explicit format wins, then file extension, then content sniffing
+function detectFormat(buffer, fileName, format) {
+  if (format) return format.toLowerCase();
+
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'tsv' || extension === 'tab') return 'tsv';
+  if (extension === 'xlsx' || extension === 'xls') return extension;
+
+  // XLSX is a zip archive (PK), legacy XLS is an OLE2 compound document
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return 'xlsx';
+  if (buffer[0] === 0xd0 && buffer[1] === 0xcf) return 'xls';
+
+  const firstLine = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+// READ WORKBOOK - Excel workbooks and delimited text files end up in the same shape
+function readWorkbook(buffer, { fileName, format } = {}) {
+  const detected = detectFormat(buffer, fileName, format);
+
+  if (TEXT_DELIMITERS[detected]) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    // raw keeps serial numbers and part numbers as text instead of coercing them to numbers
+    const workbook = XLSX.read(text, { type: 'string', FS: TEXT_DELIMITERS[detected], raw: true });
+
+    // Text files have a single sheet - name it after the file so rows can be traced back
+    const sheetName = fileName || detected.toUpperCase();
+    workbook.Sheets = { [sheetName]: workbook.Sheets[workbook.SheetNames[0]] };
+    workbook.SheetNames = [sheetName];
+    return { workbook, format: detected };
+  }
+
+  return { workbook: XLSX.read(buffer, { type: 'buffer' }), format: detected };
+}
+
+// SHEET TO ROWS - Returns [{ row, data }] where row is the 1-based spreadsheet row number
+function sheetToRows(worksheet) {
+  try {
+    return XLSX.utils.sheet_to_json(worksheet).map((data, index) => ({
+      // sheet_to_json records the 0-based source row in a non-enumerable __rowNum__
+      row: (data.__rowNum__ !== undefined ? data.__rowNum__ : index + 1) + 1,
+      data
+    }));
+  } catch (e) {
+    console.log('Header parsing failed, falling back to raw rows');
+    const arrayData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    if (arrayData.length <= 1) return [];
+
+    const headers = arrayData[0];
+    return arrayData.slice(1).map((values, index) => {
+      const data = {};
+      headers.forEach((header, i) => {
+        data[header] = values[i] || '';
+      });
+      return { row: index + 2, data };
+    });
+  }
+}
+
+// RESOLVE SHEET SELECTION - Case-insensitive names, empty selection means every sheet
+function selectSheets(sheetNames, requested) {
+  if (!requested || requested.length === 0) return sheetNames;
+
+  const wanted = requested.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+  const missing = wanted.filter(name => !sheetNames.some(sheet => sheet.toLowerCase() === name));
+
+  if (missing.length > 0) {
+    const error = new Error(`Sheet(s) not found: ${missing.join(', ')}. Available sheets: ${sheetNames.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return sheetNames.filter(sheet => wanted.includes(sheet.toLowerCase()));
+}
+
+// READ ROWS - Every row of every selected sheet, tagged with its source sheet and row number
+function readRows(buffer, options = {}) {
+  const { workbook, format } = readWorkbook(buffer, options);
+  const included = selectSheets(workbook.SheetNames, options.sheets);
+
+  const records = [];
+  const sheets = workbook.SheetNames.map(name => {
+    if (!included.includes(name)) {
+      return { name, rows: 0, included: false };
+    }
+
+    const rows = sheetToRows(workbook.Sheets[name]);
+    rows.forEach(({ row, data }) => records.push({ sheet: name, row, data }));
+    console.log(`Sheet "${name}": ${rows.length} rows`);
+
+    return { name, rows: rows.length, included: true };
+  });
+
+  return { format, sheets, records };
+}
+
+module.exports = {
+  detectFormat,
+  readWorkbook,
+  readRows
+};
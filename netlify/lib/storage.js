@@ -0,0 +1,36 @@
+const { getStore, connectLambda } = require('@netlify/blobs');
+
+// OPEN STORE - Lambda-style handlers have to pass the request's blobs context to the client first
+function openStore(name, event) {
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+
+  return getStore({ name, consistency: 'strong' });
+}
+
+// READ ALL JSON ENTRIES IN A STORE (optionally under a key prefix)
+async function listJSON(store, prefix) {
+  const { blobs } = await store.list(prefix ? { prefix } : undefined);
+  const entries = await Promise.all(blobs.map(blob => store.get(blob.key, { type: 'json' })));
+  return entries.filter(Boolean);
+}
+
+// CONFIG KEY - Settings shared by every Shopify store live under "config", a store's own copy
+// under "store/{storeId}"
+function configKey(storeId) {
+  return storeId ? `store/${storeId}` : 'config';
+}
+
+// LOAD CONFIG - { overrides, own }: the store's own settings when it has them, the shared ones otherwise
+async function loadConfig(store, storeId) {
+  const own = storeId ? await store.get(configKey(storeId), { type: 'json' }) : null;
+  return { overrides: own || await store.get(configKey(null), { type: 'json' }), own: Boolean(own) };
+}
+
+module.exports = {
+  openStore,
+  listJSON,
+  configKey,
+  loadConfig
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { openStore, listJSON } = require('./storage');
+const { DEFAULT_STORE_PRICING, sanitizeStorePricing } = require('./pricing');
+
+const STORE_NAME = 'shopify-stores';
+// Per-store pricing is kept apart from the registry, so environment stores can have it too
+const PRICING_STORE_NAME = 'store-pricing';
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// NORMALIZE STORE URL - Admin API calls need the bare myshopify.com domain
+function normalizeStoreUrl(value) {
+  const storeUrl = String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!SHOP_DOMAIN_PATTERN.test(storeUrl)) {
+    throw badRequest('Store URL must be a your-store.myshopify.com domain');
+  }
+  return storeUrl;
+}
+
+function storeIdFor(storeUrl) {
+  return storeUrl.replace(/\.myshopify\.com$/, '');
+}
+
+// ENV STORES - SHOPIFY_STORE_URL/SHOPIFY_ADMIN_TOKEN for one store, SHOPIFY_STORES (JSON list) for several
+function envStores() {
+  const stores = [];
+
+  if (process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ADMIN_TOKEN) {
+    const storeUrl = normalizeStoreUrl(process.env.SHOPIFY_STORE_URL);
+    stores.push({
+      id: storeIdFor(storeUrl),
+      name: process.env.SHOPIFY_STORE_NAME || storeUrl,
+      storeUrl,
+      apiToken: process.env.SHOPIFY_ADMIN_TOKEN
+    });
+  }
+
+  if (process.env.SHOPIFY_STORES) {
+    JSON.parse(process.env.SHOPIFY_STORES).forEach(store => {
+      const storeUrl = normalizeStoreUrl(store.storeUrl);
+      stores.push({ id: store.id || storeIdFor(storeUrl), name: store.name || storeUrl, storeUrl, apiToken: store.apiToken });
+    });
+  }
+
+  return stores.map(store => ({ ...store, source: 'env' }));
+}
+
+// Registry tokens are encrypted with AES-256-GCM under a key derived from STORE_ENCRYPTION_KEY
+function encryptionKey() {
+  if (!process.env.STORE_ENCRYPTION_KEY) {
+    const error = new Error('STORE_ENCRYPTION_KEY is not set - stores cannot be saved to the registry');
+    error.statusCode = 503;
+    throw error;
+  }
+  return crypto.createHash('sha256').update(process.env.STORE_ENCRYPTION_KEY).digest();
+}
+
+function encryptToken(apiToken) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(apiToken, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decryptToken(encrypted) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+async function registryStores(event) {
+  try {
+    return await listJSON(openStore(STORE_NAME, event));
+  } catch (error) {
+    // Blobs are not available outside Netlify - environment stores still work
+    console.warn('Store registry unavailable:', error.message);
+    return [];
+  }
+}
+
+// LIST STORES - What the UI may show: never the token
+async function listStores(event) {
+  const stores = [...envStores(), ...(await registryStores(event)).map(store => ({ ...store, source: store.source || 'registry' }))];
+  return Promise.all(stores.map(async ({ id, name, storeUrl, source, createdAt, scopes }) => ({
+    id, name, storeUrl, source, createdAt, scopes, pricing: await loadStorePricing(event, id)
+  })));
+}
+
+// LOAD STORE PRICING - The store's price multiplier, rounding and currency, or no conversion
+async function loadStorePricing(event, storeId) {
+  try {
+    const saved = await openStore(PRICING_STORE_NAME, event).get(storeId, { type: 'json' });
+    return { ...DEFAULT_STORE_PRICING, ...saved };
+  } catch (error) {
+    console.warn('Store pricing unavailable:', error.message);
+    return { ...DEFAULT_STORE_PRICING };
+  }
+}
+
+async function saveStorePricing(event, storeId, input) {
+  const pricing = sanitizeStorePricing(input);
+  await openStore(PRICING_STORE_NAME, event).setJSON(storeId, pricing);
+  return pricing;
+}
+
+// GET STORE CREDENTIALS - Environment stores win over registry entries with the same id.
+// Without a storeId the only configured store is used.
+async function getStoreCredentials(storeId, event) {
+  const env = envStores();
+
+  if (!storeId) {
+    const all = [...env, ...(await registryStores(event))];
+    if (all.length !== 1) {
+      throw badRequest(all.length === 0 ? 'No Shopify stores are configured' : 'Choose a store');
+    }
+    storeId = all[0].id;
+  }
+
+  const fromEnv = env.find(store => store.id === storeId);
+  if (fromEnv) {
+    return { id: fromEnv.id, storeUrl: fromEnv.storeUrl, apiToken: fromEnv.apiToken };
+  }
+
+  const saved = await openStore(STORE_NAME, event).get(storeId, { type: 'json' });
+  if (!saved) {
+    throw badRequest(`Unknown store: ${storeId}`);
+  }
+  return { id: saved.id, storeUrl: saved.storeUrl, apiToken: decryptToken(saved.token) };
+}
+
+// SAVE STORE - Add or replace a registry store (manual entry or an OAuth install)
+async function saveStore(event, { name, storeUrl, apiToken, source = 'registry', scopes }) {
+  const cleanUrl = normalizeStoreUrl(storeUrl);
+  if (!apiToken) {
+    throw badRequest('An Admin API access token is required');
+  }
+
+  const id = storeIdFor(cleanUrl);
+  if (envStores().some(store => store.id === id)) {
+    throw badRequest(`${cleanUrl} is configured in the environment`);
+  }
+
+  const record = {
+    id,
+    name: String(name || '').trim() || cleanUrl,
+    storeUrl: cleanUrl,
+    source,
+    scopes: scopes || null,
+    createdAt: new Date().toISOString(),
+    token: encryptToken(apiToken)
+  };
+  await openStore(STORE_NAME, event).setJSON(id, record);
+
+  const { token, ...publicRecord } = record;
+  return publicRecord;
+}
+
+async function deleteStore(event, id) {
+  if (envStores().some(store => store.id === id)) {
+    throw badRequest('Stores from environment variables cannot be removed here');
+  }
+  await openStore(STORE_NAME, event).delete(id);
+  await openStore(PRICING_STORE_NAME, event).delete(id);
+}
+
+module.exports = {
+  STORE_NAME,
+  normalizeStoreUrl,
+  listStores,
+  getStoreCredentials,
+  loadStorePricing,
+  saveStorePricing,
+  saveStore,
+  deleteStore
+};
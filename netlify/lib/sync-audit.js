@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { openStore, listJSON } = require('./storage');
+
+const STORE_NAME = 'sync-audit';
+
+// Product and variant fields the sync overwrites and can put back. SEO title/description are
+// written too, but products.json does not return them, so there is no before value to keep.
+const PRODUCT_FIELDS = ['title', 'body_html', 'tags'];
+const VARIANT_FIELDS = ['price', 'compare_at_price', 'sku'];
+
+function runKey(runId) {
+  return `run/${runId}`;
+}
+
+function changesPrefix(runId) {
+  return `changes/${runId}/`;
+}
+
+function createRunId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// "799.00" and 799 are the same price
+function sameValue(a, b) {
+  const blank = value => value === null || value === undefined || value === '';
+  if (blank(a) || blank(b)) return blank(a) && blank(b);
+  if (Number.isFinite(Number(a)) && Number.isFinite(Number(b))) return Number(a) === Number(b);
+  return String(a) === String(b);
+}
+
+// DIFF FIELDS - { field: { before, after } } for the named fields the write actually changes
+function diffFields(before, after, names) {
+  const fields = {};
+  names.forEach(name => {
+    if (after[name] === undefined || sameValue(before[name], after[name])) return;
+    fields[name] = { before: before[name] ?? null, after: after[name] };
+  });
+  return fields;
+}
+
+// AUDIT META - Who ran the sync, from which file, against which store
+function auditMeta(options, user, jobId = null) {
+  return {
+    user: user || 'unknown',
+    storeId: options.storeId,
+    storeUrl: options.storeUrl,
+    fileName: options.fileName || null,
+    engine: options.engine,
+    apiVersion: options.apiVersion,
+    inventoryMode: options.inventoryMode,
+    reconcile: options.reconcile,
+    groups: Object.keys(options.productGroups || {}).length,
+    jobId
+  };
+}
+
+// CREATE AUDIT LOG - Run header plus change batches written as the sync goes, so a job that
+// stops halfway still leaves everything it did on record. Audit failures never stop a sync.
+function createAuditLog(event, runId = createRunId()) {
+  const store = openStore(STORE_NAME, event);
+  let sequence = 0;
+
+  async function safely(label, write) {
+    try {
+      await write();
+    } catch (error) {
+      console.error(`Audit log ${label} failed:`, error.message);
+      log.warning = `Audit log incomplete: ${error.message}`;
+    }
+  }
+
+  const log = {
+    runId,
+    warning: null,
+
+    // BEGIN - A resumed job keeps the header it already has
+    begin: meta => safely('begin', async () => {
+      if (await store.get(runKey(runId), { type: 'json' })) return;
+      await store.setJSON(runKey(runId), {
+        id: runId,
+        ...meta,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        summary: null,
+        undos: []
+      });
+    }),
+
+    saveChanges: changes => changes.length === 0 ? Promise.resolve() : safely('write', async () => {
+      // Time-ordered keys keep batches in the order they happened across job invocations
+      const part = `${Date.now().toString(36).padStart(9, '0')}-${String(sequence++).padStart(4, '0')}`;
+      await store.setJSON(`${changesPrefix(runId)}${part}`, changes.map(change => ({ ...change, at: new Date().toISOString() })));
+    }),
+
+    finish: (results, status = 'completed') => safely('finish', async () => {
+      const run = await store.get(runKey(runId), { type: 'json' });
+      if (!run) return;
+      run.status = status;
+      run.finishedAt = new Date().toISOString();
+      run.summary = results ? { created: results.created, updated: results.updated, errors: results.errors } : null;
+      await store.setJSON(runKey(runId), run);
+    })
+  };
+
+  return log;
+}
+
+async function listAuditRuns(store) {
+  const runs = await listJSON(store, 'run/');
+  return runs.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+async function loadAuditRun(store, runId) {
+  return store.get(runKey(runId), { type: 'json' });
+}
+
+async function saveAuditRun(store, run) {
+  await store.setJSON(runKey(run.id), run);
+}
+
+// LOAD AUDIT CHANGES - Batches in the order they were written: [{ key, changes }]
+async function loadAuditChanges(store, runId) {
+  const { blobs } = await store.list({ prefix: changesPrefix(runId) });
+  const keys = blobs.map(blob => blob.key).sort();
+  const parts = await Promise.all(keys.map(async key => ({ key, changes: (await store.get(key, { type: 'json' })) || [] })));
+  return parts;
+}
+
+function isNotFound(error) {
+  return error.shopifyStatus === 404;
+}
+
+// UNDO STEPS - How each recorded change is put back
+const UNDO_STEPS = {
+  // Deleting a product also removes its variants, collects and inventory items
+  'product-created': (shopify, change) => shopify.del(`products/${change.productId}.json`),
+
+  'product-updated': (shopify, change) => {
+    const product = { id: change.productId };
+    Object.entries(change.fields).forEach(([name, value]) => {
+      product[name] = value.before;
+    });
+    return shopify.put(`products/${change.productId}.json`, { product });
+  },
+
+  'metafield-created': async (shopify, change) => {
+    const { data } = await shopify.get(`products/${change.productId}/metafields.json?namespace=${change.namespace}&key=${change.key}`);
+    for (const metafield of data.metafields || []) {
+      await shopify.del(`products/${change.productId}/metafields/${metafield.id}.json`);
+    }
+  },
+
+  // The product carried another group's key before the run - put that key back
+  'metafield-updated': async (shopify, change) => {
+    const { data } = await shopify.get(`products/${change.productId}/metafields.json?namespace=${change.namespace}&key=${change.key}`);
+    const metafield = data.metafields?.[0];
+    if (metafield) {
+      return shopify.put(`products/${change.productId}/metafields/${metafield.id}.json`, {
+        metafield: { id: metafield.id, value: change.before }
+      });
+    }
+    return shopify.post(`products/${change.productId}/metafields.json`, {
+      metafield: { namespace: change.namespace, key: change.key, value: change.before, type: 'single_line_text_field' }
+    });
+  },
+
+  'variant-created': (shopify, change) => shopify.del(`products/${change.productId}/variants/${change.variantId}.json`),
+
+  'image-created': (shopify, change) => shopify.del(`products/${change.productId}/images/${change.imageId}.json`),
+
+  'variant-updated': (shopify, change) => {
+    const variant = { id: change.variantId };
+    Object.entries(change.fields).forEach(([name, value]) => {
+      variant[name] = value.before;
+    });
+    return shopify.put(`variants/${change.variantId}.json`, { variant });
+  },
+
+  'collect-created': async (shopify, change) => {
+    let collectId = change.collectId;
+    if (!collectId) {
+      const { data } = await shopify.get(`collects.json?product_id=${change.productId}&collection_id=${change.collectionId}`);
+      collectId = data.collects?.[0]?.id;
+    }
+    if (collectId) await shopify.del(`collects/${collectId}.json`);
+  },
+
+  'collect-removed': async (shopify, change) => {
+    try {
+      await shopify.post('collects.json', { collect: { product_id: change.productId, collection_id: change.collectionId } });
+    } catch (error) {
+      if (error.shopifyStatus === 422) return 'already in the collection';
+      throw error;
+    }
+  },
+
+  // Adjust by the difference so sales made since the sync are not overwritten
+  inventory: (shopify, change) => shopify.post('inventory_levels/adjust.json', {
+    location_id: change.locationId,
+    inventory_item_id: change.inventoryItemId,
+    available_adjustment: (change.before ?? 0) - change.after
+  }),
+
+  'product-status': (shopify, change) => shopify.put(`products/${change.productId}.json`, {
+    product: { id: change.productId, status: change.before }
+  }),
+
+  // Collections are only removed once nothing else is in them
+  'collection-created': async (shopify, change) => {
+    const { data } = await shopify.get(`collects/count.json?collection_id=${change.collectionId}`);
+    if (data.count > 0) {
+      return `kept - still has ${data.count} products`;
+    }
+    await shopify.del(`custom_collections/${change.collectionId}.json`);
+  },
+
+  // Shopify fills smart collections from their rules, so there are no members to check for
+  'smart-collection-created': (shopify, change) => shopify.del(`smart_collections/${change.collectionId}.json`),
+
+  'smart-collection-updated': (shopify, change) => shopify.put(`smart_collections/${change.collectionId}.json`, {
+    smart_collection: { id: change.collectionId, ...change.before }
+  })
+};
+
+// Store-wide changes, only undone with the whole run
+const COLLECTION_CHANGES = ['collection-created', 'smart-collection-created', 'smart-collection-updated'];
+
+// UNDO CHANGES - Revert newest first; changes to products the same selection deletes are skipped.
+// Each change is marked with undoneAt or undoError (and undoFailedAt) and handed to afterEach, so the
+// marks can be saved as the undo goes. No change is started after the deadline; returns the
+// per-change report and how many changes were left for the next call.
+async function undoChanges(shopify, changes, { includeCollections = true, deadline = Infinity, afterEach = null } = {}) {
+  const deletedProducts = changes
+    .filter(change => change.type === 'product-created')
+    .map(change => String(change.productId));
+  const todo = [...changes].reverse().filter(change => includeCollections || !COLLECTION_CHANGES.includes(change.type));
+  const report = [];
+
+  for (const [index, change] of todo.entries()) {
+    if (Date.now() >= deadline) {
+      return { report, remaining: todo.length - index };
+    }
+
+    const entry = { type: change.type, productId: change.productId || null, title: change.title || null };
+    const coveredByDelete = change.type !== 'product-created' && change.productId &&
+      deletedProducts.includes(String(change.productId));
+
+    try {
+      const outcome = coveredByDelete ? 'removed with the product' : await UNDO_STEPS[change.type](shopify, change);
+      entry.result = typeof outcome === 'string' ? outcome : 'reverted';
+      change.undoneAt = new Date().toISOString();
+      delete change.undoError;
+      delete change.undoFailedAt;
+    } catch (error) {
+      if (isNotFound(error)) {
+        entry.result = 'already gone';
+        change.undoneAt = new Date().toISOString();
+      } else {
+        entry.error = error.message;
+        change.undoError = error.message;
+        change.undoFailedAt = new Date().toISOString();
+      }
+    }
+
+    report.push(entry);
+    if (afterEach) await afterEach(change);
+  }
+
+  return { report, remaining: 0 };
+}
+
+module.exports = {
+  STORE_NAME,
+  PRODUCT_FIELDS,
+  VARIANT_FIELDS,
+  diffFields,
+  auditMeta,
+  createAuditLog,
+  listAuditRuns,
+  loadAuditRun,
+  saveAuditRun,
+  loadAuditChanges,
+  undoChanges
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { internalHeaders } = require('./auth');
+
+const STORE_NAME = 'sync-jobs';
+const WORKER_PATH = '/.netlify/functions/sync-worker-background';
+
+// The worker saves the job after every group and every minute while it prepares, so a queued or
+// running job that has not been saved for this long lost its worker (killed, or never started)
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// A worker holds the job for the 15 minute background function limit from when it starts; no
+// second worker is started on the job until it lets go or the limit has passed
+const WORKER_LEASE_MS = 15 * 60 * 1000;
+
+// Blob writes cannot be made conditional here, so a worker claiming a job writes its holder id,
+// waits this long and reads the job back; of two workers started together only the last writer
+// still finds its own id and goes on
+const CLAIM_SETTLE_MS = 2000;
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+const RESUMABLE_STATUSES = ['paused', 'cancelled', 'failed'];
+
+function createJobId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Job record and its product groups are stored apart so status polls stay small
+function jobKey(id) {
+  return `job/${id}`;
+}
+
+function groupsKey(id) {
+  return `groups/${id}`;
+}
+
+// CREATE JOB - Settings go on the job record; the worker looks up the store's token itself
+async function createJob(store, options, batchId = null) {
+  const { productGroups, ...settings } = options;
+  const now = new Date().toISOString();
+
+  const job = {
+    id: createJobId(),
+    batchId,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    cancelRequested: false,
+    invocations: 0,
+    options: settings,
+    order: Object.keys(productGroups),
+    groups: {},
+    results: null,
+    state: null,
+    leaseUntil: null,
+    leaseHolder: null,
+    error: null
+  };
+  Object.entries(productGroups).forEach(([key, productGroup]) => {
+    job.groups[key] = { title: productGroup.seoTitle, status: 'pending' };
+  });
+
+  await store.setJSON(groupsKey(job.id), productGroups);
+  await saveJob(store, job);
+  return job;
+}
+
+// CREATE JOBS - One job per store of a run, so each store has its own progress, audit run,
+// cancel and resume; jobs of a multi-store run share a batch id
+async function createJobs(store, storeOptions) {
+  const batchId = storeOptions.length > 1 ? createJobId() : null;
+  const jobs = [];
+  for (const options of storeOptions) {
+    jobs.push(await createJob(store, options, batchId));
+  }
+  return jobs;
+}
+
+async function saveJob(store, job) {
+  job.updatedAt = new Date().toISOString();
+  await store.setJSON(jobKey(job.id), job);
+}
+
+async function loadJob(store, id) {
+  return store.get(jobKey(id), { type: 'json' });
+}
+
+async function loadJobGroups(store, id) {
+  return store.get(groupsKey(id), { type: 'json' });
+}
+
+function isLeased(job) {
+  return Boolean(job.leaseUntil) && Date.now() < Date.parse(job.leaseUntil);
+}
+
+function isStale(job) {
+  return ['queued', 'running'].includes(job.status) && Date.now() - Date.parse(job.updatedAt) > STALE_AFTER_MS && !isLeased(job);
+}
+
+function isResumable(job) {
+  return (RESUMABLE_STATUSES.includes(job.status) || isStale(job)) && !isLeased(job);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// CLAIM JOB - Take a queued job that no other invocation holds for this worker until the lease
+// runs out; returns the job when the claim held, null (with the reason) when it did not
+async function claimJob(store, id, startedAt) {
+  const job = await loadJob(store, id);
+  if (!job || job.status !== 'queued') return { job: null, reason: job ? job.status : 'missing' };
+  if (isLeased(job)) return { job: null, reason: 'held by another invocation' };
+
+  const holder = crypto.randomBytes(8).toString('hex');
+  job.status = 'running';
+  job.invocations++;
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.leaseHolder = holder;
+  job.leaseUntil = new Date(startedAt + WORKER_LEASE_MS).toISOString();
+  await saveJob(store, job);
+
+  await sleep(CLAIM_SETTLE_MS);
+  const latest = await loadJob(store, id);
+  if (latest?.leaseHolder !== holder) return { job: null, reason: 'claimed by another invocation' };
+  return { job: latest, reason: null };
+}
+
+function pendingKeys(job) {
+  return job.order.filter(key => job.groups[key].status === 'pending');
+}
+
+// SUMMARIZE JOB - What the status endpoint returns: progress counts, per-group state, results when done
+function summarizeJob(job) {
+  const groups = job.order.map(key => ({ key, ...job.groups[key] }));
+  const count = status => groups.filter(group => group.status === status).length;
+
+  return {
+    id: job.id,
+    batchId: job.batchId || null,
+    store: { id: job.options.storeId, url: job.options.storeUrl },
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    cancelRequested: job.cancelRequested,
+    stale: isStale(job),
+    resumable: isResumable(job),
+    error: job.error,
+    progress: {
+      total: groups.length,
+      done: groups.length - count('pending'),
+      pending: count('pending'),
+      created: count('created'),
+      updated: count('updated'),
+      conflicts: count('conflict'),
+      errors: count('error')
+    },
+    groups,
+    results: FINISHED_STATUSES.includes(job.status) ? job.results : null
+  };
+}
+
+// START WORKER - Background functions answer 202 straight away and keep running for up to 15 minutes
+async function startWorker(event, jobId) {
+  const host = event.headers?.host || event.headers?.Host;
+  const siteUrl = process.env.URL || `https://${host}`;
+
+  const response = await fetch(`${siteUrl}${WORKER_PATH}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...internalHeaders() },
+    body: JSON.stringify({ jobId })
+  });
+  if (!response.ok) {
+    throw new Error(`Could not start the sync worker: ${response.status}`);
+  }
+}
+
+module.exports = {
+  STORE_NAME,
+  FINISHED_STATUSES,
+  WORKER_LEASE_MS,
+  isLeased,
+  isStale,
+  isResumable,
+  createJob,
+  createJobs,
+  saveJob,
+  loadJob,
+  loadJobGroups,
+  claimJob,
+  pendingKeys,
+  summarizeJob,
+  startWorker
+};
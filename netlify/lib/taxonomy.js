@@ -0,0 +1,160 @@
+const { openStore } = require('./storage');
+
+const STORE_NAME = 'taxonomy';
+
+// Default product taxonomy - stored overrides are merged on top of this, key by key.
+// Types are checked in order, so the more specific names come first ("iPad Pro" before "iPad").
+const DEFAULT_TAXONOMY = {
+  brand: 'Apple',
+  fallbackType: 'Apple Product',
+  // Every listing joins its type's collection plus these
+  collections: ['Apple', 'Refurbished'],
+  // Rows naming another brand are left out unless they also name an Apple product type
+  exclusions: [
+    'dell', 'hp', 'hewlett packard', 'lenovo', 'thinkpad', 'samsung', 'galaxy', 'asus', 'acer', 'msi', 'razer',
+    'microsoft', 'surface', 'google', 'pixel', 'chromebook', 'huawei', 'xiaomi', 'oneplus', 'toshiba', 'lg gram', 'sony'
+  ],
+  types: [
+    { name: 'MacBook Pro', patterns: ['macbook pro', 'macbookpro', 'mbp'], weight: 2.0 },
+    { name: 'MacBook Air', patterns: ['macbook air', 'macbookair', 'mba'], weight: 1.3 },
+    { name: 'MacBook', patterns: ['macbook'], weight: 1.0 },
+    { name: 'Mac Studio', patterns: ['mac studio'], weight: 2.7 },
+    { name: 'Mac Mini', patterns: ['mac mini', 'macmini'], weight: 1.2 },
+    { name: 'iMac', patterns: ['imac'], weight: 4.5 },
+    { name: 'iPad Pro', patterns: ['ipad pro'], weight: 0.7 },
+    { name: 'iPad Air', patterns: ['ipad air'], weight: 0.6 },
+    { name: 'iPad Mini', patterns: ['ipad mini'], weight: 0.3 },
+    { name: 'iPad', patterns: ['ipad'], weight: 0.5 },
+    { name: 'iPhone', patterns: ['iphone'], weight: 0.2 },
+    { name: 'AirPods', patterns: ['airpods', 'air pods'], weight: 0.1, collections: ['Accessories'] },
+    { name: 'Magic Mouse', patterns: ['magic mouse'], weight: 0.1, collections: ['Accessories'] },
+    { name: 'Magic Keyboard', patterns: ['magic keyboard'], weight: 0.3, collections: ['Accessories'] }
+  ],
+  fallbackWeight: 1.0
+};
+
+function invalid(message) {
+  const error = new Error(`Invalid taxonomy: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function mergeTaxonomy(overrides) {
+  return { ...DEFAULT_TAXONOMY, ...(overrides || {}) };
+}
+
+function textList(value, label) {
+  if (!Array.isArray(value)) throw invalid(`${label} must be a list`);
+  return value.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+function positiveNumber(value, label) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) throw invalid(`${label} must be a positive number`);
+  return number;
+}
+
+// SANITIZE TAXONOMY - Keeps only known keys; each type needs a name and at least one pattern
+function sanitizeTaxonomy(input) {
+  if (!input || typeof input !== 'object') throw invalid('expected an object');
+  const overrides = {};
+
+  ['brand', 'fallbackType'].forEach(key => {
+    if (input[key] === undefined) return;
+    const value = String(input[key]).trim();
+    if (!value) throw invalid(`${key} cannot be empty`);
+    overrides[key] = value;
+  });
+  if (input.collections !== undefined) overrides.collections = textList(input.collections, 'collections');
+  if (input.exclusions !== undefined) overrides.exclusions = textList(input.exclusions, 'exclusions').map(entry => entry.toLowerCase());
+  if (input.fallbackWeight !== undefined) overrides.fallbackWeight = positiveNumber(input.fallbackWeight, 'fallbackWeight');
+
+  if (input.types !== undefined) {
+    if (!Array.isArray(input.types) || input.types.length === 0) throw invalid('types must be a non-empty list');
+    const names = new Set();
+    overrides.types = input.types.map(type => {
+      const name = String(type?.name || '').trim();
+      if (!name) throw invalid('every type needs a name');
+      if (names.has(name.toLowerCase())) throw invalid(`"${name}" is listed twice`);
+      names.add(name.toLowerCase());
+
+      const patterns = textList(type.patterns || [], `"${name}" patterns`).map(pattern => pattern.toLowerCase());
+      if (patterns.length === 0) throw invalid(`"${name}" needs at least one pattern`);
+
+      const sanitized = { name, patterns, weight: positiveNumber(type.weight ?? DEFAULT_TAXONOMY.fallbackWeight, `"${name}" weight`) };
+      if (type.collections !== undefined) sanitized.collections = textList(type.collections, `"${name}" collections`);
+      if (type.brand) sanitized.brand = String(type.brand).trim();
+      return sanitized;
+    });
+  }
+
+  return overrides;
+}
+
+// Patterns match whole words, so "mba" does not match "mbankers" and "hp" does not match "hpc"
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(text);
+}
+
+function findType(taxonomy, text) {
+  return taxonomy.types.find(type => type.patterns.some(pattern => containsTerm(text, pattern))) || null;
+}
+
+// DETECT TYPE - The first type matching the model text, or the fallback type
+function detectType(taxonomy, text) {
+  return findType(taxonomy, text)?.name || taxonomy.fallbackType;
+}
+
+// CLASSIFY ROW - { included: true } or { included: false, reason, detail } for the excluded-rows
+// report. identified is true when the Apple catalog already recognised an identifier in the row.
+function classifyRow(taxonomy, text, identified = false) {
+  if (identified) return { included: true };
+
+  const type = findType(taxonomy, text);
+  if (type) return { included: true };
+
+  const otherBrand = taxonomy.exclusions.find(term => containsTerm(text, term));
+  if (otherBrand) {
+    return { included: false, reason: 'other-brand', detail: `Mentions "${otherBrand}" and no ${taxonomy.brand} product type` };
+  }
+  if (containsTerm(text, taxonomy.brand.toLowerCase())) return { included: true };
+
+  return { included: false, reason: 'not-recognised', detail: `No ${taxonomy.brand} product type, brand or part number found` };
+}
+
+function typeDefinition(taxonomy, productType) {
+  return taxonomy.types.find(type => type.name === productType) || null;
+}
+
+// TYPE PROFILE - What a listing of this type gets: collections, vendor and shipping weight (kg)
+function typeProfile(taxonomy, productType) {
+  const type = typeDefinition(taxonomy, productType);
+  return {
+    collections: [...new Set([productType, ...(type?.collections || []), ...taxonomy.collections])],
+    vendor: type?.brand || taxonomy.brand,
+    weight: type?.weight ?? taxonomy.fallbackWeight
+  };
+}
+
+// LOAD TAXONOMY - Saved overrides on top of the defaults
+async function loadTaxonomy(event) {
+  try {
+    const overrides = await openStore(STORE_NAME, event).get('config', { type: 'json' });
+    return mergeTaxonomy(overrides);
+  } catch (error) {
+    console.log(`Could not load the taxonomy, using defaults: ${error.message}`);
+    return DEFAULT_TAXONOMY;
+  }
+}
+
+module.exports = {
+  STORE_NAME,
+  DEFAULT_TAXONOMY,
+  mergeTaxonomy,
+  sanitizeTaxonomy,
+  detectType,
+  classifyRow,
+  typeProfile,
+  loadTaxonomy
+};
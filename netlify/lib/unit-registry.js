@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+const STORE_NAME = 'unit-registry';
+const WRITE_BATCH_SIZE = 20;
+
+// Serials are compared without case, spaces or dashes ("c02-xyz 123" is C02XYZ123)
+function normalizeSerial(raw) {
+  return String(raw || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Same file processed twice gets the same upload id, so it is not reported against itself
+function createUploadId(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex').substring(0, 16);
+}
+
+async function inBatches(entries, worker) {
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    await Promise.all(entries.slice(i, i + WRITE_BATCH_SIZE).map(worker));
+  }
+}
+
+// FIND DUPLICATES IN UPLOAD - Serials appearing on more than one row of this file
+function findDuplicateSerials(units) {
+  const rowsBySerial = {};
+  units.forEach(unit => {
+    (rowsBySerial[unit.serial] = rowsBySerial[unit.serial] || []).push(`${unit.sheet}!${unit.row}`);
+  });
+
+  return Object.entries(rowsBySerial)
+    .filter(([, rows]) => rows.length > 1)
+    .map(([serial, rows]) => ({ serial, rows }));
+}
+
+// FIND PREVIOUSLY SEEN - Serials of this upload already recorded by an earlier upload's sync.
+// Read only, so processing a file any number of times leaves the registry as it was.
+async function findPreviouslySeen(store, units, uploadId) {
+  const previouslySeen = [];
+
+  await inBatches(units, async unit => {
+    const existing = await store.get(unit.serial, { type: 'json' });
+
+    if (existing && existing.uploadId !== uploadId) {
+      previouslySeen.push({
+        serial: unit.serial,
+        row: `${unit.sheet}!${unit.row}`,
+        firstSeenAt: existing.firstSeenAt,
+        sourceFile: existing.sourceFile,
+        groupKey: existing.groupKey,
+        listed: existing.status === 'listed',
+        shopify: existing.shopify || null
+      });
+    }
+  });
+
+  return previouslySeen;
+}
+
+// REGISTER UNITS - Records each unit of a committed sync with the Shopify product/variant that now
+// holds it. Rows sharing a serial are written one after another, never in the same batch.
+async function registerUnits(store, units, upload) {
+  const now = new Date().toISOString();
+  const unitsBySerial = {};
+  units.forEach(unit => {
+    (unitsBySerial[unit.serial] = unitsBySerial[unit.serial] || []).push(unit);
+  });
+
+  await inBatches(Object.values(unitsBySerial), async sameSerial => {
+    for (const unit of sameSerial) {
+      const existing = await store.get(unit.serial, { type: 'json' });
+      await store.setJSON(unit.serial, {
+        ...existing,
+        serial: unit.serial,
+        uploadId: upload.uploadId,
+        sourceFile: upload.fileName,
+        sheet: unit.sheet,
+        row: unit.row,
+        grade: unit.grade,
+        color: unit.color,
+        groupKey: unit.groupKey,
+        title: unit.title,
+        firstSeenAt: existing?.firstSeenAt || now,
+        uploadedAt: now,
+        status: 'listed',
+        listedAt: now,
+        shopify: unit.shopify
+      });
+    }
+  });
+}
+
+async function lookupUnit(store, serial) {
+  return store.get(normalizeSerial(serial), { type: 'json' });
+}
+
+module.exports = {
+  STORE_NAME,
+  normalizeSerial,
+  createUploadId,
+  findDuplicateSerials,
+  findPreviouslySeen,
+  registerUnits,
+  lookupUnit
+};
@@ -0,0 +1,139 @@
+// Apple marketing color names, keyed by the spellings suppliers actually use
+const APPLE_COLORS = {
+  'Space Gray': ['space gray', 'space grey', 'spacegray', 'spacegrey', 'sg', 'gray', 'grey'],
+  'Space Black': ['space black'],
+  'Silver': ['silver', 'slv'],
+  'Gold': ['gold'],
+  'Rose Gold': ['rose gold', 'rosegold'],
+  'Midnight': ['midnight', 'midnight blue'],
+  'Starlight': ['starlight'],
+  'Sky Blue': ['sky blue'],
+  'Blue': ['blue'],
+  'Purple': ['purple'],
+  'Pink': ['pink'],
+  'Green': ['green'],
+  'Yellow': ['yellow'],
+  'Orange': ['orange'],
+  '(PRODUCT)RED': ['red', 'product red', '(product)red', 'productred'],
+  'White': ['white'],
+  'Black': ['black'],
+  'Jet Black': ['jet black'],
+  'Graphite': ['graphite'],
+  'Sierra Blue': ['sierra blue'],
+  'Pacific Blue': ['pacific blue'],
+  'Alpine Green': ['alpine green'],
+  'Midnight Green': ['midnight green'],
+  'Deep Purple': ['deep purple'],
+  'Natural Titanium': ['natural titanium'],
+  'Blue Titanium': ['blue titanium'],
+  'White Titanium': ['white titanium'],
+  'Black Titanium': ['black titanium'],
+  'Desert Titanium': ['desert titanium']
+};
+
+// Cosmetic grades in price order, with the wording suppliers use for each
+const GRADES = {
+  A: ['a', 'a+', 'a-', 'excellent', 'like new', 'mint', 'pristine', 'grade a'],
+  B: ['b', 'b+', 'b-', 'very good', 'grade b'],
+  C: ['c', 'c+', 'c-', 'good', 'grade c'],
+  D: ['d', 'd+', 'd-', 'fair', 'acceptable', 'grade d'],
+  P: ['p', 'poor', 'damaged', 'for parts', 'parts', 'grade p']
+};
+
+// Keyboard layouts as Apple names them on Canadian and US configurations
+const KEYBOARD_LAYOUTS = {
+  'US English': ['us', 'us english', 'english', 'en', 'en-us', 'usa', 'american'],
+  'Canadian French': ['cf', 'canadian french', 'french canadian', 'fr-ca', 'ca french'],
+  'Canadian Multilingual': ['csa', 'canadian multilingual', 'multilingual', 'ca multilingual'],
+  'British': ['uk', 'british', 'en-gb', 'gb'],
+  'French': ['fr', 'french', 'azerty'],
+  'German': ['de', 'german', 'qwertz'],
+  'Spanish': ['es', 'spanish'],
+  'International English': ['international english', 'intl', 'international']
+};
+
+const DEFAULT_COLOR = 'Default';
+const DEFAULT_GRADE = 'A';
+
+const colorLookup = {};
+Object.entries(APPLE_COLORS).forEach(([name, spellings]) => {
+  spellings.forEach(spelling => {
+    colorLookup[spelling] = name;
+  });
+});
+
+const keyboardLookup = {};
+Object.entries(KEYBOARD_LAYOUTS).forEach(([name, spellings]) => {
+  spellings.forEach(spelling => {
+    keyboardLookup[spelling] = name;
+  });
+});
+
+const gradeLookup = {};
+Object.entries(GRADES).forEach(([grade, spellings]) => {
+  spellings.forEach(spelling => {
+    gradeLookup[spelling] = grade;
+  });
+});
+
+function titleCase(value) {
+  return value.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// NORMALIZE COLOR - Returns { color, known } where known is false for non-Apple names
+function normalizeColor(raw) {
+  const cleaned = String(raw || '').trim().replace(/\s+/g, ' ');
+  if (!cleaned) return { color: DEFAULT_COLOR, known: true };
+
+  const lower = cleaned.toLowerCase();
+  if (colorLookup[lower]) return { color: colorLookup[lower], known: true };
+
+  // Longest spelling first so "space gray" wins over "gray" in "MacBook Air Space Gray M1"
+  const spelling = Object.keys(colorLookup)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => candidate.length > 2 && new RegExp(`\\b${candidate.replace(/[()]/g, '\\$&')}\\b`).test(lower));
+  if (spelling) return { color: colorLookup[spelling], known: true };
+
+  return { color: titleCase(cleaned), known: false };
+}
+
+// NORMALIZE GRADE - A/B/C/D/P, or null when the value cannot be read as a grade
+function normalizeGrade(raw) {
+  const cleaned = String(raw || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!cleaned) return DEFAULT_GRADE;
+
+  const withoutPrefix = cleaned.replace(/^(?:grade|condition|cosmetic)\s*:?\s*/, '');
+  return gradeLookup[cleaned] || gradeLookup[withoutPrefix] || null;
+}
+
+// NORMALIZE KEYBOARD - Known layouts get Apple's name, anything else is kept as written
+function normalizeKeyboard(raw) {
+  const cleaned = String(raw || '').trim().replace(/\s+/g, ' ');
+  if (!cleaned) return '';
+
+  const lower = cleaned.toLowerCase().replace(/\s*keyboard$/, '').replace(/[()]/g, '');
+  return keyboardLookup[lower] || titleCase(cleaned);
+}
+
+// PARSE QUANTITY - Rows without a quantity column count as one unit
+function parseQuantity(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return 1;
+  const quantity = Number(String(raw).replace(/,/g, '').trim());
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+}
+
+function variantKey(color, grade) {
+  return `${color}-${grade}`;
+}
+
+module.exports = {
+  APPLE_COLORS,
+  GRADES,
+  DEFAULT_COLOR,
+  DEFAULT_GRADE,
+  normalizeColor,
+  normalizeGrade,
+  normalizeKeyboard,
+  parseQuantity,
+  variantKey
+};